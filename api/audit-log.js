@@ -0,0 +1 @@
+export { auditLog as default } from './routes.js';
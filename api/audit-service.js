@@ -0,0 +1,86 @@
+import { createRecordId, getDataStore } from './data-store.js';
+import { taipeiDate } from './http-helpers.js';
+
+// Append-only record of what staff did: content writes, lead updates, editor list changes, sign-ins and
+// refused editor requests. Entries are only ever inserted into the data store's `audit_log` collection;
+// nothing in the API updates or removes them.
+
+const AUDIT_LOG = 'audit_log';
+const VALUE_PREVIEW_LENGTH = 80;
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+export const AUDIT_OUTCOMES = ['success', 'denied', 'failed'];
+
+function comparable(value) {
+  return value == null || value === '' || value === false ? '' : JSON.stringify(value);
+}
+
+function previewValue(value) {
+  if (value == null || value === '') return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > VALUE_PREVIEW_LENGTH ? `${text.slice(0, VALUE_PREVIEW_LENGTH)}… (${text.length} chars)` : text;
+}
+
+// Field-by-field summary of two snapshots of an item (null for one that was created or deleted). Long
+// values are shortened so the log never holds whole posts.
+export function diffSummary(before, after, fields) {
+  const keys = fields || Array.from(new Set(Object.keys(before || {}).concat(Object.keys(after || {}))));
+  return keys
+    .filter(key => comparable(before ? before[key] : null) !== comparable(after ? after[key] : null))
+    .map(key => ({
+      field: key,
+      before: previewValue(before ? before[key] : null),
+      after: previewValue(after ? after[key] : null),
+    }));
+}
+
+// Appends one entry. A failed write is logged to the console instead of thrown: by the time it runs the
+// action it describes has already happened.
+export async function recordAudit({ actor, provider, action, target, diff, outcome = 'success', detail, ip }, now = new Date()) {
+  const entry = {
+    id: createRecordId(),
+    at: now.toISOString(),
+    actor: actor ? String(actor) : 'anonymous',
+    provider: provider || '',
+    action,
+    target: target ? String(target) : '',
+    diff: diff || [],
+    outcome: AUDIT_OUTCOMES.includes(outcome) ? outcome : 'success',
+    detail: detail ? String(detail).slice(0, 500) : '',
+    ip: ip || '',
+  };
+  try {
+    return await getDataStore().insert(AUDIT_LOG, entry);
+  } catch (err) {
+    console.error('Audit log error:', err, entry);
+    return null;
+  }
+}
+
+// Newest first. `action` matches a prefix (`content` covers every content action), `actor` and `q`
+// (target and detail) match substrings, `from`/`to` are Taipei dates.
+export async function listAuditLog(filters = {}) {
+  const actor = String(filters.actor || '').trim().toLowerCase();
+  const action = String(filters.action || '').trim();
+  const query = String(filters.q || '').trim().toLowerCase();
+  const from = String(filters.from || '').slice(0, 10);
+  const to = String(filters.to || '').slice(0, 10);
+  const limit = Math.min(Math.max(Number(filters.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const entries = (await getDataStore().list(AUDIT_LOG))
+    .filter(entry => {
+      if (actor && !String(entry.actor).toLowerCase().includes(actor)) return false;
+      if (action && entry.action !== action && !String(entry.action).startsWith(action + '.')) return false;
+      if (filters.outcome && entry.outcome !== filters.outcome) return false;
+      const day = taipeiDate(entry.at);
+      if (from && day < from) return false;
+      if (to && day > to) return false;
+      if (query && !`${entry.target} ${entry.detail}`.toLowerCase().includes(query)) return false;
+      return true;
+    })
+    .reverse() // stores list in insertion order, and the stable sort keeps it for entries in the same ms
+    .sort((a, b) => String(b.at).localeCompare(String(a.at)));
+
+  return { entries: entries.slice(0, limit), total: entries.length };
+}
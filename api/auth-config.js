@@ -1,12 +1 @@
-export default function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-
-  if (req.method === 'OPTIONS') return res.status(200).end();
-  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
-
-  return res.status(200).json({
-    googleClientId: process.env.GOOGLE_CLIENT_ID || '',
-    authReady: Boolean(process.env.GOOGLE_CLIENT_ID),
-  });
-}
+export { authConfig as default } from './routes.js';
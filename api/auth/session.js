@@ -0,0 +1 @@
+export { editorSession as default } from '../routes.js';
@@ -0,0 +1,182 @@
+import { getDataStore } from './data-store.js';
+import { httpError, TAIPEI_OFFSET_MS, taipeiDate, taipeiIso } from './http-helpers.js';
+import { loadSiteData } from './site-data.js';
+
+// Free session slots come from _data/availability.yml (trainers, weekly hours, blocked dates, session
+// length) minus the slots already reserved in the data store. A reservation is stored under the id
+// `<trainer>@<start>`, so the store's unique insert is what stops two bookings taking the same slot.
+// A waitlist hold past its `hold_expires_at` counts as free straight away; the cron only tidies up.
+
+const SLOTS = 'slots';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_LABELS = ['日', '一', '二', '三', '四', '五', '六'];
+const MAX_RANGE_DAYS = 31;
+
+function slotTakenError() {
+  const err = httpError('這個時段已經被預約，請選擇其他時段。', 409);
+  err.field = 'slot';
+  return err;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function dayStart(day) {
+  const time = Date.parse(`${day}T00:00:00+08:00`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(time)) throw httpError('Invalid date. Use YYYY-MM-DD.', 400);
+  return time;
+}
+
+function parseRange(range) {
+  const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(String(range).trim());
+  if (!match) throw httpError(`Invalid weekly_hours range in _data/availability.yml: ${range}`, 500);
+  return [Number(match[1]) * 60 + Number(match[2]), Number(match[3]) * 60 + Number(match[4])];
+}
+
+export function slotId(trainerId, start) {
+  return `${trainerId}@${start}`;
+}
+
+export async function getTrainer(trainerId, config) {
+  config = config || await loadSiteData('availability');
+  return (config.trainers || []).find(trainer => trainer.id === trainerId) || null;
+}
+
+// A human-readable label for a slot, e.g. 3/2（一）14:00–15:00
+export function slotLabel(start, end) {
+  const startTime = Date.parse(start);
+  const local = new Date(startTime + TAIPEI_OFFSET_MS);
+  const endLocal = new Date(Date.parse(end) + TAIPEI_OFFSET_MS);
+  return `${local.getUTCMonth() + 1}/${local.getUTCDate()}（${WEEKDAY_LABELS[local.getUTCDay()]}）` +
+    `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}–${pad(endLocal.getUTCHours())}:${pad(endLocal.getUTCMinutes())}`;
+}
+
+function scheduledSlots(config, { from, to, trainerId, now }) {
+  const sessionMs = Number(config.session_minutes || 60) * 60 * 1000;
+  const earliest = now + Number(config.min_notice_hours || 0) * 60 * 60 * 1000;
+  const latest = dayStart(taipeiDate(now)) + Number(config.booking_window_days || 28) * DAY_MS;
+  const studioBlocked = new Set((config.blocked_dates || []).map(String));
+  const trainers = (config.trainers || []).filter(trainer => !trainerId || trainer.id === trainerId);
+  const slots = [];
+
+  for (let day = dayStart(from); day <= dayStart(to) && day < latest; day += DAY_MS) {
+    const date = taipeiDate(day);
+    if (studioBlocked.has(date)) continue;
+    const weekday = WEEKDAYS[new Date(day + TAIPEI_OFFSET_MS).getUTCDay()];
+
+    for (const trainer of trainers) {
+      if ((trainer.blocked_dates || []).map(String).includes(date)) continue;
+      for (const range of (trainer.weekly_hours || {})[weekday] || []) {
+        const [startMinute, endMinute] = parseRange(range);
+        for (let start = day + startMinute * 60 * 1000; start + sessionMs <= day + endMinute * 60 * 1000; start += sessionMs) {
+          if (start < earliest) continue;
+          slots.push({
+            start: taipeiIso(start),
+            end: taipeiIso(start + sessionMs),
+            trainer_id: trainer.id,
+            trainer_name: trainer.name,
+          });
+        }
+      }
+    }
+  }
+  return slots.sort((a, b) => a.start.localeCompare(b.start) || a.trainer_id.localeCompare(b.trainer_id));
+}
+
+// `config` replaces _data/availability.yml (tests). When the waitlist is enabled, `full` lists the
+// scheduled slots that are already taken, so the form can offer to join their waitlist.
+export async function listFreeSlots({ from, to, trainerId, now = Date.now(), config } = {}) {
+  config = config || await loadSiteData('availability');
+  const startDay = from || taipeiDate(now);
+  const endDay = to || startDay;
+  if ((dayStart(endDay) - dayStart(startDay)) / DAY_MS >= MAX_RANGE_DAYS) {
+    throw httpError(`Date range too long (max ${MAX_RANGE_DAYS} days)`, 400);
+  }
+  if (dayStart(endDay) < dayStart(startDay)) throw httpError('`to` must not be before `from`', 400);
+
+  const reserved = new Set((await getDataStore().list(SLOTS)).filter(slot => !isExpiredHold(slot, now)).map(slot => slot.id));
+  const scheduled = scheduledSlots(config, { from: startDay, to: endDay, trainerId, now });
+  const waitlistEnabled = Boolean(config.waitlist && config.waitlist.enabled);
+  return {
+    session_minutes: Number(config.session_minutes || 60),
+    trainers: (config.trainers || []).map(trainer => ({ id: trainer.id, name: trainer.name })),
+    slots: scheduled.filter(slot => !reserved.has(slotId(slot.trainer_id, slot.start))),
+    full: waitlistEnabled ? scheduled.filter(slot => reserved.has(slotId(slot.trainer_id, slot.start))) : [],
+  };
+}
+
+// The schedule entry for `start`, or null when it is not (or no longer) bookable
+export async function findScheduledSlot({ trainerId, start, now = Date.now(), config }) {
+  const startTime = Date.parse(start);
+  if (!trainerId || Number.isNaN(startTime)) return null;
+
+  config = config || await loadSiteData('availability');
+  const day = taipeiDate(startTime);
+  return scheduledSlots(config, { from: day, to: day, trainerId, now })
+    .find(candidate => Date.parse(candidate.start) === startTime) || null;
+}
+
+export function isExpiredHold(slot, now = Date.now()) {
+  return Boolean(slot.waitlist_id) && Date.parse(slot.hold_expires_at) <= now;
+}
+
+export async function getReservedSlot(id) {
+  return getDataStore().get(SLOTS, id);
+}
+
+async function insertSlot(slot, fields, now) {
+  const record = {
+    id: slotId(slot.trainer_id, slot.start),
+    ...slot,
+    booking_id: '',
+    waitlist_id: '',
+    hold_expires_at: '',
+    ...fields,
+    created_at: new Date(now).toISOString(),
+  };
+  try {
+    return await getDataStore().insert(SLOTS, record);
+  } catch (err) {
+    if (err.status !== 409) throw err;
+  }
+  // Taken, unless by a lapsed waitlist hold. Replacing the hold is conditional on it being unchanged,
+  // so of two requests racing for the lapsed slot only one gets it.
+  const existing = await getDataStore().get(SLOTS, record.id);
+  const replaced = existing && isExpiredHold(existing, now)
+    ? await getDataStore().update(SLOTS, record.id, record, { waitlist_id: existing.waitlist_id, hold_expires_at: existing.hold_expires_at })
+    : null;
+  if (!replaced) throw slotTakenError();
+  return replaced;
+}
+
+// Reserves one slot for a booking. Throws 409 when the slot is not on the schedule any more or another
+// booking reserved it first.
+export async function reserveSlot({ trainerId, start, bookingId, now = Date.now(), config }) {
+  const slot = await findScheduledSlot({ trainerId, start, now, config });
+  if (!slot) throw slotTakenError();
+  return insertSlot(slot, { booking_id: bookingId }, now);
+}
+
+// Holds a freed slot for the waitlist entry that was offered it, so nobody else can book it until the
+// offer is claimed or expires. Same errors as reserveSlot().
+export async function holdSlot({ trainerId, start, waitlistId, expiresAt, now = Date.now(), config }) {
+  const slot = await findScheduledSlot({ trainerId, start, now, config });
+  if (!slot) throw slotTakenError();
+  return insertSlot(slot, { booking_id: '', waitlist_id: waitlistId, hold_expires_at: new Date(expiresAt).toISOString() }, now);
+}
+
+// Turns a waitlist hold into a booking's reservation. Throws 409 when the hold is gone or was just
+// claimed by a concurrent request.
+export async function claimHeldSlot({ id, waitlistId, bookingId }) {
+  const claimed = await getDataStore().update(SLOTS, id, { booking_id: bookingId, waitlist_id: '', hold_expires_at: '' }, { waitlist_id: waitlistId });
+  if (!claimed) throw slotTakenError();
+  return claimed;
+}
+
+// Frees a slot. `owner` ({ booking_id } or { waitlist_id }) makes it a no-op once the slot belongs to
+// someone else.
+export async function releaseSlot(id, owner) {
+  return getDataStore().remove(SLOTS, id, owner);
+}
@@ -0,0 +1 @@
+export { availability as default } from './routes.js';
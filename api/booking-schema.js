@@ -0,0 +1,39 @@
+import { httpError } from './http-helpers.js';
+import { loadSiteData } from './site-data.js';
+
+// Validates booking requests against _data/booking.yml, the same schema _pages/booking.html uses.
+// Returns the cleaned values, or throws a 400 whose `field` names the first invalid field.
+export async function validateBooking(body) {
+  const schema = await loadSiteData('booking');
+  const values = {};
+
+  for (const [name, rule] of Object.entries(schema.fields)) {
+    let value = body && body[name] != null ? String(body[name]).trim() : '';
+    if (rule.digits_only) value = value.replace(/[^0-9]/g, '');
+
+    if (!value) {
+      const waived = rule.required_unless && body && body[rule.required_unless];
+      if (rule.required && !waived) throw httpError(schema.required_message, 400, name);
+      values[name] = '';
+      continue;
+    }
+
+    const valid = (!rule.max_length || value.length <= rule.max_length) &&
+      (!rule.pattern || new RegExp(rule.pattern).test(value)) &&
+      (!rule.options || rule.options.some(option => option.value === value));
+    if (!valid) throw httpError(rule.message, 400, name);
+    values[name] = value;
+  }
+  return values;
+}
+
+// Returns true when the hidden honeypot field is filled in, which only bots do; callers should answer
+// as if the booking succeeded. Throws a 400 when the form was submitted faster than a person can type.
+export async function detectBookingBot(body) {
+  const { bot_check: check } = await loadSiteData('booking');
+  if (body && body[check.honeypot_field]) return true;
+
+  const elapsed = Number(body && body[check.elapsed_field]);
+  if (!Number.isFinite(elapsed) || elapsed < check.min_submit_ms) throw httpError(check.too_fast_message, 400);
+  return false;
+}
@@ -0,0 +1,463 @@
+import { claimHeldSlot, getTrainer, releaseSlot, reserveSlot, slotId, slotLabel } from './availability-service.js';
+import { validateBooking } from './booking-schema.js';
+import { calendarFeedToken, sessionInvite, trainerFeed, verifyCalendarFeedToken } from './calendar.js';
+import { createRecordId, getDataStore } from './data-store.js';
+import { renderEmail, siteUrl } from './email-templates.js';
+import { httpError, taipeiDate } from './http-helpers.js';
+import { sendMail } from './mailer.js';
+import { dispatchNotification } from './notifications.js';
+import { createSignedToken, signedLinksConfigured, verifySignedToken } from './signed-links.js';
+import { loadSiteData } from './site-data.js';
+import { claimOffer, getWaitlistOffer, markOfferClaimed, offerReleasedSlot, reopenOffer, waitlistOfferView } from './waitlist-service.js';
+
+const BOOKINGS = 'bookings';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FEED_PAST_DAYS = 30;
+const HOUR_MS = 60 * 60 * 1000;
+const MANAGE_LINK_PURPOSE = 'manage-booking';
+const CANCEL_REASON_MAX_LENGTH = 200;
+
+export const LEAD_STATUSES = ['new', 'contacted', 'trial_booked', 'converted', 'lost'];
+
+function cleanField(value, maxLength) {
+  if (value == null) return '';
+  return String(value).replace(/<[^>]*>/g, '').replace(/[\x00-\x08\x0B-\x0C\x0E-\x1F\x7F]/g, '').trim().slice(0, maxLength);
+}
+
+function withStatus(booking) {
+  return { ...booking, status: booking.status || 'new', status_history: booking.status_history || [] };
+}
+
+function hasSession(booking) {
+  return Boolean(booking.slot_start) && !booking.session_cancelled_at;
+}
+
+// Stores a booking. When the form picked a session (`slot_start` + `trainer_id`) the slot is reserved
+// first, so a taken slot fails with 409 before anything is written. `heldSlot` ({ id, waitlistId })
+// books a slot that is being held for a waitlist offer instead.
+export async function createBooking(body, { heldSlot } = {}) {
+  const values = await validateBooking(body);
+  const id = createRecordId();
+  let slot = null;
+  if (heldSlot) {
+    slot = await claimHeldSlot({ id: heldSlot.id, waitlistId: heldSlot.waitlistId, bookingId: id });
+  } else if (body.slot_start) {
+    slot = await reserveSlot({ trainerId: String(body.trainer_id || ''), start: String(body.slot_start), bookingId: id });
+  }
+
+  const createdAt = new Date().toISOString();
+  try {
+    return await getDataStore().insert(BOOKINGS, {
+      id,
+      name: values.name,
+      phone: values.phone,
+      line_id: values.line_id,
+      email: values.email,
+      contact_time: values.contact_time,
+      goal: values.goal,
+      slot_start: slot ? slot.start : '',
+      slot_end: slot ? slot.end : '',
+      trainer_id: slot ? slot.trainer_id : '',
+      trainer_name: slot ? slot.trainer_name : '',
+      calendar_sequence: 0,
+      status: 'new',
+      status_history: [{ status: 'new', by: 'booking-form', at: createdAt }],
+      created_at: createdAt,
+    });
+  } catch (err) {
+    if (slot) await releaseSlot(slot.id, { booking_id: id }).catch(releaseError => console.error('Slot release error:', releaseError));
+    throw err;
+  }
+}
+
+function sessionData(booking) {
+  return booking && booking.slot_start
+    ? { label: slotLabel(booking.slot_start, booking.slot_end), trainer: booking.trainer_name }
+    : null;
+}
+
+async function bookingEmailData(booking) {
+  const schema = await loadSiteData('booking');
+  const slot = schema.fields.contact_time.options.find(option => option.value === booking.contact_time);
+  return {
+    booking,
+    session: sessionData(booking),
+    line_id: booking.line_id || '未提供',
+    email: booking.email || '未提供',
+    contact_slot: slot ? slot.label : booking.contact_time,
+    submitted_at: new Date(booking.created_at).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' }),
+  };
+}
+
+async function selfServiceSettings() {
+  const config = await loadSiteData('availability');
+  const settings = config.self_service || {};
+  return {
+    cutoffHours: settings.change_cutoff_hours == null ? 12 : Number(settings.change_cutoff_hours),
+    linkValidDays: Number(settings.link_valid_days || 30),
+  };
+}
+
+// The customer's signed manage-booking link for a booked session as { url, cutoff_hours }, or null
+// when the site URL or SIGNED_LINK_SECRET is not configured
+async function manageLink(booking, now = Date.now()) {
+  const origin = siteUrl();
+  if (!hasSession(booking) || !origin || !signedLinksConfigured()) return null;
+  const { cutoffHours, linkValidDays } = await selfServiceSettings();
+  const expiresAt = Math.min(now + linkValidDays * DAY_MS, Date.parse(booking.slot_start));
+  const token = createSignedToken(MANAGE_LINK_PURPOSE, { id: booking.id }, { expiresAt });
+  return { url: `${origin}/manage-booking.html?token=${token}`, cutoff_hours: cutoffHours };
+}
+
+async function sendBookingConfirmation(booking) {
+  const brand = await loadSiteData('brand');
+  const message = await renderEmail('booking-confirmation', {
+    ...(await bookingEmailData(booking)),
+    manage: await manageLink(booking),
+  });
+  const attachments = hasSession(booking) ? [sessionInvite(booking, { audience: 'customer', brand })] : [];
+  return sendMail({ to: booking.email, replyTo: brand.social.email.address, ...message, attachments });
+}
+
+// Emails a session's trainer (when _data/availability.yml has their address) an invite, update or
+// cancellation. Returns false when the trainer has no email address.
+async function sendTrainerInvite(booking, { cancelled = false, rescheduled = false, previous = null } = {}) {
+  const trainer = await getTrainer(booking.trainer_id);
+  if (!trainer || !trainer.email) return false;
+  const brand = await loadSiteData('brand');
+  const message = await renderEmail('trainer-session', {
+    ...(await bookingEmailData(booking)),
+    previous_session: sessionData(previous),
+    rescheduled,
+    cancelled,
+  });
+  const attachments = [sessionInvite(booking, { audience: 'trainer', brand, trainer, cancelled })];
+  await sendMail({ to: trainer.email, replyTo: brand.social.email.address, ...message, attachments });
+  return true;
+}
+
+// Sends the customer and the trainers the calendar update for a rescheduled or cancelled session. A
+// session moved to another trainer is cancelled in the old trainer's calendar. Failures are logged,
+// the change itself has already been saved.
+async function sendSessionUpdate(booking, previous, { cancelled }) {
+  const brand = await loadSiteData('brand');
+  const jobs = [];
+
+  if (booking.email) {
+    jobs.push(async () => {
+      const message = await renderEmail('session-update', {
+        ...(await bookingEmailData(booking)),
+        previous_session: cancelled ? null : sessionData(previous),
+        manage: cancelled ? null : await manageLink(booking),
+        cancelled,
+      });
+      const attachments = [sessionInvite(booking, { audience: 'customer', brand, cancelled })];
+      await sendMail({ to: booking.email, replyTo: brand.social.email.address, ...message, attachments });
+    });
+  }
+
+  const movedTrainer = !cancelled && hasSession(previous) && previous.trainer_id !== booking.trainer_id;
+  if (movedTrainer) {
+    jobs.push(() => sendTrainerInvite({ ...previous, calendar_sequence: booking.calendar_sequence }, { cancelled: true }));
+  }
+  jobs.push(() => sendTrainerInvite(booking, {
+    cancelled,
+    rescheduled: !cancelled && !movedTrainer && hasSession(previous),
+    previous: cancelled || movedTrainer ? null : previous,
+  }));
+
+  const results = await Promise.allSettled(jobs.map(job => job()));
+  for (const result of results) {
+    if (result.status === 'rejected') console.error('Session update email error:', result.reason);
+  }
+}
+
+// Handles a booking form submission: validates it, stores the lead, notifies the studio on every enabled
+// channel and, when the prospect left an email address, sends them a confirmation. The request succeeds
+// when either the store or one notification channel works, so a lead is never lost to a single outage.
+export async function submitBooking(body, options = {}) {
+  const values = await validateBooking(body);
+
+  let saved = null;
+  try {
+    saved = await createBooking({ ...body, ...values }, options);
+  } catch (err) {
+    // A session slot is only booked once it is reserved, so those failures go back to the form
+    if (err.status === 409 || body.slot_start) throw err;
+    console.error('Booking store error:', err);
+  }
+
+  const booking = saved || { ...values, created_at: new Date().toISOString() };
+  let notified = false;
+  try {
+    const results = await dispatchNotification('booking.created', await bookingEmailData(booking));
+    notified = results.some(result => result.ok);
+  } catch (err) {
+    console.error('Booking notification error:', err);
+  }
+
+  if (!saved && !notified) throw httpError('Failed to save booking', 500);
+
+  let confirmed = false;
+  if (booking.email) {
+    try {
+      await sendBookingConfirmation(booking);
+      confirmed = true;
+    } catch (err) {
+      console.error('Booking confirmation error:', err);
+    }
+  }
+  if (saved && hasSession(saved)) {
+    await sendTrainerInvite(saved).catch(err => console.error('Trainer invite error:', err));
+  }
+  return { id: saved ? saved.id : null, stored: Boolean(saved), notified, confirmed };
+}
+
+export async function listBookings(filters = {}) {
+  const query = String(filters.q || '').trim().toLowerCase();
+  const from = String(filters.from || '').slice(0, 10);
+  const to = String(filters.to || '').slice(0, 10);
+  const bookings = (await getDataStore().list(BOOKINGS)).map(withStatus);
+
+  return bookings
+    .filter(booking => {
+      if (filters.status && booking.status !== filters.status) return false;
+      if (filters.goal && booking.goal !== filters.goal) return false;
+      if (filters.contact_time && booking.contact_time !== filters.contact_time) return false;
+      const day = taipeiDate(booking.created_at);
+      if (from && day < from) return false;
+      if (to && day > to) return false;
+      if (query) {
+        const haystack = [booking.name, booking.phone, booking.line_id, booking.email].join(' ').toLowerCase();
+        if (!haystack.includes(query)) return false;
+      }
+      return true;
+    })
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+export async function updateBookingStatus(id, body, editorEmail = 'editor') {
+  const status = String((body && body.status) || '');
+  const note = cleanField(body && body.note, 500);
+
+  if (!id) throw httpError('Missing booking id', 400);
+  if (!LEAD_STATUSES.includes(status)) throw httpError('Invalid status. Use one of: ' + LEAD_STATUSES.join(', '), 400);
+
+  const store = getDataStore();
+  const existing = await store.get(BOOKINGS, id);
+  if (!existing) throw httpError('Booking not found', 404);
+
+  const current = withStatus(existing);
+  const now = new Date().toISOString();
+  const change = { status, from: current.status, by: editorEmail, at: now };
+  if (note) change.note = note;
+
+  // Only applies while the lead is as read above, so a concurrent change is not dropped from the history
+  const updated = await store.update(BOOKINGS, id, {
+    status,
+    status_history: current.status_history.concat(change),
+    updated_at: now,
+    updated_by: editorEmail,
+  }, { status: existing.status, updated_at: existing.updated_at });
+  if (!updated) throw httpError('Lead was changed by someone else. Reload and try again.', 409);
+  return updated;
+}
+
+async function getBookingOrThrow(id) {
+  if (!id) throw httpError('Missing booking id', 400);
+  const existing = await getDataStore().get(BOOKINGS, id);
+  if (!existing) throw httpError('Booking not found', 404);
+  return existing;
+}
+
+// Releases a booking's old slot and offers it to the first person on its waitlist
+async function freeSlot(booking) {
+  try {
+    await releaseSlot(slotId(booking.trainer_id, booking.slot_start), { booking_id: booking.id });
+    await offerReleasedSlot(booking.trainer_id, booking.slot_start);
+  } catch (err) {
+    console.error('Slot release error:', err);
+  }
+}
+
+function sessionNote(booking) {
+  const session = sessionData(booking);
+  return `${session.label}（${session.trainer}）`;
+}
+
+// Moves a booking into another free slot (or gives a lead that only left a contact time its first
+// session). The new slot is reserved before the old one is released, and the calendar event keeps its
+// UID with a higher SEQUENCE so the customer's and trainer's calendars update in place.
+export async function rescheduleBooking(id, body, by = 'editor') {
+  const existing = await getBookingOrThrow(id);
+  const start = String((body && body.slot_start) || '');
+  const trainerId = String((body && body.trainer_id) || existing.trainer_id || '');
+  if (!start || !trainerId) throw httpError('Missing slot_start or trainer_id', 400);
+  if (hasSession(existing) && slotId(trainerId, start) === slotId(existing.trainer_id, existing.slot_start)) {
+    throw httpError('The booking is already in this slot', 400);
+  }
+
+  const slot = await reserveSlot({ trainerId, start, bookingId: existing.id });
+  const current = withStatus(existing);
+  const now = new Date().toISOString();
+  const moved = { ...existing, ...slot, slot_start: slot.start, slot_end: slot.end };
+  const note = hasSession(existing) ? `改期：${sessionNote(existing)} → ${sessionNote(moved)}` : `預約時段：${sessionNote(moved)}`;
+
+  let updated;
+  try {
+    updated = await getDataStore().update(BOOKINGS, existing.id, {
+      slot_start: slot.start,
+      slot_end: slot.end,
+      trainer_id: slot.trainer_id,
+      trainer_name: slot.trainer_name,
+      session_cancelled_at: '',
+      cancel_reason: '',
+      calendar_sequence: (Number(existing.calendar_sequence) || 0) + 1,
+      status_history: current.status_history.concat({ status: current.status, from: current.status, by, at: now, note }),
+      updated_at: now,
+      updated_by: by,
+    });
+  } catch (err) {
+    await releaseSlot(slot.id, { booking_id: existing.id }).catch(releaseError => console.error('Slot release error:', releaseError));
+    throw err;
+  }
+  if (hasSession(existing)) await freeSlot(existing);
+
+  await sendSessionUpdate(updated, existing, { cancelled: false });
+  return updated;
+}
+
+// Cancels a booking's session and frees the slot. The lead itself stays in the list.
+export async function cancelBookingSession(id, body, by = 'editor') {
+  const existing = await getBookingOrThrow(id);
+  if (!hasSession(existing)) throw httpError('Booking has no session to cancel', 400);
+
+  const reason = cleanField(body && body.reason, 500);
+  const current = withStatus(existing);
+  const now = new Date().toISOString();
+  const note = `取消體驗課：${sessionNote(existing)}${reason ? `・${reason}` : ''}`;
+  const updated = await getDataStore().update(BOOKINGS, existing.id, {
+    session_cancelled_at: now,
+    cancel_reason: reason,
+    calendar_sequence: (Number(existing.calendar_sequence) || 0) + 1,
+    status_history: current.status_history.concat({ status: current.status, from: current.status, by, at: now, note }),
+    updated_at: now,
+    updated_by: by,
+  });
+  await freeSlot(existing);
+
+  await sendSessionUpdate(updated, existing, { cancelled: true });
+  return updated;
+}
+
+// The ICS feed for one trainer: sessions from the last FEED_PAST_DAYS days onwards. Unknown trainers
+// and wrong tokens both answer 404.
+export async function trainerCalendarFeed(trainerId, token, now = Date.now()) {
+  const trainer = await getTrainer(String(trainerId || ''));
+  if (!trainer || !verifyCalendarFeedToken(trainer.id, token)) throw httpError('Calendar feed not found', 404);
+
+  const since = now - FEED_PAST_DAYS * DAY_MS;
+  const sessions = (await getDataStore().list(BOOKINGS))
+    .filter(booking => booking.trainer_id === trainer.id && hasSession(booking) && Date.parse(booking.slot_end) >= since)
+    .sort((a, b) => String(a.slot_start).localeCompare(String(b.slot_start)));
+  return trainerFeed(sessions, { brand: await loadSiteData('brand'), trainer, now });
+}
+
+// Subscription URLs for every trainer, for staff to hand out. `baseUrl` is the site's origin.
+export async function listCalendarFeeds(baseUrl) {
+  const config = await loadSiteData('availability');
+  return (config.trainers || []).map(trainer => {
+    const query = `trainer=${encodeURIComponent(trainer.id)}&token=${calendarFeedToken(trainer.id)}`;
+    return { trainer_id: trainer.id, name: trainer.name, url: `${baseUrl}/api/calendar-feed?${query}` };
+  });
+}
+
+// Customer self-service through the manage link. Every change is also announced to the studio on the
+// notification channels.
+
+async function bookingFromLink(token) {
+  const { id } = verifySignedToken(MANAGE_LINK_PURPOSE, token);
+  const booking = await getDataStore().get(BOOKINGS, id);
+  if (!booking || !booking.slot_start) throw httpError('找不到這筆預約，請透過 LINE 聯絡我們。', 404);
+  return booking;
+}
+
+async function changeWindow(booking, now = Date.now()) {
+  const { cutoffHours } = await selfServiceSettings();
+  const deadline = Date.parse(booking.slot_start) - cutoffHours * HOUR_MS;
+  return { cutoffHours, deadline, open: hasSession(booking) && now < deadline };
+}
+
+async function assertChangeable(booking) {
+  if (!hasSession(booking)) throw httpError('這堂體驗課已經取消。', 409);
+  const { cutoffHours, open } = await changeWindow(booking);
+  if (!open) throw httpError(`距離上課已不到 ${cutoffHours} 小時，無法線上更改，請透過 LINE 聯絡我們。`, 403);
+}
+
+async function notifyStaff(type, booking, extra) {
+  try {
+    await dispatchNotification(type, { ...(await bookingEmailData(booking)), ...extra });
+  } catch (err) {
+    console.error('Booking change notification error:', err);
+  }
+}
+
+// What the manage page shows: only the customer's name and the session, never the contact details
+export async function getManagedBooking(token) {
+  const booking = await bookingFromLink(token);
+  const { cutoffHours, deadline, open } = await changeWindow(booking);
+  return {
+    name: booking.name,
+    session: { ...sessionData(booking), start: booking.slot_start, end: booking.slot_end },
+    cancelled: Boolean(booking.session_cancelled_at),
+    can_change: open,
+    change_deadline: new Date(deadline).toISOString(),
+    cutoff_hours: cutoffHours,
+  };
+}
+
+export async function rescheduleFromLink(token, body) {
+  const booking = await bookingFromLink(token);
+  await assertChangeable(booking);
+  const updated = await rescheduleBooking(booking.id, {
+    slot_start: body && body.slot_start,
+    trainer_id: (body && body.trainer_id) || booking.trainer_id,
+  }, 'customer');
+  await notifyStaff('booking.rescheduled', updated, { previous_session: sessionData(booking), cancelled: false });
+  return updated;
+}
+
+export async function cancelFromLink(token, body) {
+  const booking = await bookingFromLink(token);
+  await assertChangeable(booking);
+  const reason = cleanField(body && body.reason, CANCEL_REASON_MAX_LENGTH);
+  if (!reason) throw httpError('請填寫取消原因。', 400);
+  const updated = await cancelBookingSession(booking.id, { reason }, 'customer');
+  await notifyStaff('booking.cancelled', updated, { cancelled: true, reason });
+  return updated;
+}
+
+// Books the slot behind a waitlist claim link for the person it was offered to. The offer is claimed
+// first, so two requests for the same link cannot both book; the booking then goes through the normal
+// submission: studio notification, confirmation email and calendar invites.
+export async function claimWaitlistOffer(token) {
+  const entry = await getWaitlistOffer(token);
+  await claimOffer(entry);
+  let result;
+  try {
+    result = await submitBooking({
+      name: entry.name,
+      phone: entry.phone,
+      line_id: entry.line_id,
+      email: entry.email,
+      goal: entry.goal,
+      slot_start: entry.slot_start,
+      trainer_id: entry.trainer_id,
+    }, { heldSlot: { id: entry.slot_id, waitlistId: entry.id } });
+  } catch (err) {
+    await reopenOffer(entry).catch(reopenError => console.error('Waitlist reopen error:', reopenError));
+    throw err;
+  }
+  await markOfferClaimed(entry, result.id);
+  return { ...result, offer: waitlistOfferView(entry) };
+}
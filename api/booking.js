@@ -0,0 +1 @@
+export { booking as default } from './routes.js';
@@ -0,0 +1 @@
+export { bookings as default } from './routes.js';
@@ -0,0 +1 @@
+export { calendarFeed as default } from './routes.js';
@@ -0,0 +1 @@
+export { calendarFeeds as default } from './routes.js';
@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import { httpError } from './http-helpers.js';
+
+// RFC 5545 calendars for booked sessions. Every booking keeps one event UID for its whole life; a
+// reschedule or cancellation sends the same UID with a higher SEQUENCE so calendar apps update or
+// remove the event they already have instead of adding a second one.
+
+const LINE_OCTETS = 75;
+const FEED_TOKEN_LENGTH = 32;
+
+// 2026-03-02T14:00:00+08:00 -> 20260302T060000Z
+export function icsTime(value) {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (Number.isNaN(time)) throw httpError(`Invalid calendar time: ${value}`, 500);
+  return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines longer than 75 octets continue on the next line after a single space, without
+// splitting a multi-byte character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? LINE_OCTETS : LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function person(property, { name, email }, params = []) {
+  const cn = name ? [`CN="${String(name).replace(/["\r\n]/g, '')}"`] : [];
+  return [property, ...cn, ...params].join(';') + `:mailto:${email}`;
+}
+
+function eventLines(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${icsTime(stamp)}`,
+    `DTSTART:${icsTime(event.start)}`,
+    `DTEND:${icsTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.organizer) lines.push(person('ORGANIZER', event.organizer));
+  for (const attendee of event.attendees || []) {
+    lines.push(person('ATTENDEE', attendee, ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=ACCEPTED', 'RSVP=FALSE']));
+  }
+  lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Builds a VCALENDAR. `method` is REQUEST or CANCEL for emailed invites and PUBLISH for feeds.
+export function buildCalendar({ method = 'PUBLISH', name, prodId, events, now = Date.now() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${prodId || '-//Booking//Sessions//ZH-TW'}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`, 'X-WR-TIMEZONE:Asia/Taipei');
+  if (method === 'PUBLISH') lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT15M', 'X-PUBLISHED-TTL:PT15M');
+  for (const event of events) lines.push(...eventLines(event, now));
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function brandProdId(brand) {
+  return `-//${brand.name}//Booking//ZH-TW`;
+}
+
+function brandSlug(brand) {
+  return String(brand.name || 'booking').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'booking';
+}
+
+export function sessionUid(booking, brand) {
+  return `booking-${booking.id}@${brandSlug(brand)}`;
+}
+
+// The session as the customer or the trainer sees it. The UID and SEQUENCE are shared, only the
+// wording differs.
+export function sessionEvent(booking, { audience, brand, trainer = {}, cancelled = false }) {
+  const forTrainer = audience === 'trainer';
+  const brandEmail = brand.social.email.address;
+  const description = forTrainer
+    ? [
+      `電話：${booking.phone}`,
+      booking.line_id ? `Line ID：${booking.line_id}` : '',
+      booking.email ? `Email：${booking.email}` : '',
+      `運動目標：${booking.goal}`,
+    ]
+    : [
+      `教練：${booking.trainer_name}`,
+      `需要更改時段，請回覆確認信或透過 LINE 聯絡我們：${brand.social.line.url}`,
+    ];
+  if (brand.social.address && brand.social.address.url) description.push(`地點：${brand.social.address.url}`);
+
+  const attendee = forTrainer
+    ? (trainer.email ? { name: trainer.name, email: trainer.email } : null)
+    : (booking.email ? { name: booking.name, email: booking.email } : null);
+
+  return {
+    uid: sessionUid(booking, brand),
+    sequence: Number(booking.calendar_sequence) || 0,
+    start: booking.slot_start,
+    end: booking.slot_end,
+    summary: forTrainer ? `體驗課：${booking.name}` : `${brand.name} 體驗課（${booking.trainer_name}）`,
+    description: description.filter(Boolean).join('\n'),
+    location: brand.name,
+    organizer: { name: brand.name, email: brandEmail },
+    attendees: attendee ? [attendee] : [],
+    cancelled,
+  };
+}
+
+// An .ics mail attachment for one session, REQUEST for new and moved sessions, CANCEL otherwise.
+export function sessionInvite(booking, { audience, brand, trainer, cancelled = false, now }) {
+  const method = cancelled ? 'CANCEL' : 'REQUEST';
+  return {
+    filename: cancelled ? 'cancel.ics' : 'invite.ics',
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+    content: buildCalendar({
+      method,
+      prodId: brandProdId(brand),
+      events: [sessionEvent(booking, { audience, brand, trainer, cancelled })],
+      now,
+    }),
+  };
+}
+
+// A trainer's subscribable calendar: PUBLISH with every booked session, so a session that is moved or
+// cancelled changes or drops out the next time the calendar app refreshes.
+export function trainerFeed(bookings, { brand, trainer, now = Date.now() }) {
+  return buildCalendar({
+    method: 'PUBLISH',
+    name: `${brand.name}・${trainer.name}`,
+    prodId: brandProdId(brand),
+    events: bookings.map(booking => sessionEvent(booking, { audience: 'trainer', brand, trainer })),
+    now,
+  });
+}
+
+function feedSecret() {
+  const secret = process.env.CALENDAR_FEED_SECRET;
+  if (!secret) throw httpError('Calendar feeds are not configured. Add CALENDAR_FEED_SECRET.', 500);
+  return secret;
+}
+
+// Feed tokens are derived from CALENDAR_FEED_SECRET, so nothing is stored and changing the secret
+// revokes every feed URL at once.
+export function calendarFeedToken(trainerId, secret = feedSecret()) {
+  return crypto.createHmac('sha256', secret).update(`calendar-feed:${trainerId}`).digest('base64url').slice(0, FEED_TOKEN_LENGTH);
+}
+
+export function verifyCalendarFeedToken(trainerId, token, secret = feedSecret()) {
+  const expected = Buffer.from(calendarFeedToken(trainerId, secret));
+  const given = Buffer.from(String(token || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
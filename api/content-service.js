@@ -1,242 +1,594 @@
-const GITHUB_API = 'https://api.github.com';
+import crypto from 'crypto';
+import YAML from 'yaml';
+import { diffSummary } from './audit-service.js';
+import { DRAFT_BRANCH_PREFIX, getContentStorage, gitBlobSha } from './content-storage.js';
+import { renderEmail, siteUrl } from './email-templates.js';
+import { httpError } from './http-helpers.js';
+import { groupImageFiles, imageFiles, imagePaths, processImage } from './image-pipeline.js';
+import { sendMail } from './mailer.js';
+import { loadSiteData } from './site-data.js';
+
 const TESTIMONIALS_PATH = '_data/testimonials.yml';
+const PUBLISH_QUEUE_PATH = '_data/publish-queue.yml';
+const POSTS_DIR = '_posts';
+const POST_IMAGE_DIR = 'img/programs';
+export const DEFAULT_TESTIMONIAL_IMAGE = '/img/testimonials/default.jpg';
+// Folders editor uploads are written to; the media library lists these
+export const IMAGE_DIRS = [POST_IMAGE_DIR, 'img/testimonials'];
+const POST_PATH_PATTERN = /^_posts\/(\d{4}-\d{2}-\d{2})-([a-z0-9-]+)\.md$/;
+const COMMIT_ATTEMPTS = 3;
 const DEFAULT_INSTAGRAM_URL = 'https://www.instagram.com/duofitness.health?igsh=dWwzemIxcTM1NXc0';
+// Fields compared for the `diff` each write returns (recorded in the audit log)
+const POST_DIFF_FIELDS = ['path', 'title', 'date', 'time', 'excerpt', 'image', 'ig_link', 'content'];
+const TESTIMONIAL_DIFF_FIELDS = ['name', 'category', 'content', 'image', 'instagram', 'featured', 'hidden'];
 
-function encodeGitHubPath(filePath) {
-  return String(filePath).split('/').map(encodeURIComponent).join('/');
+export function escapeYamlValue(str) {
+  if (str == null) return '';
+  const s = String(str).trim();
+  if (!s) return '';
+  if (/[:"#[\]{}|>*]/.test(s) || s.includes("'")) {
+    return '"' + s.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+  }
+  return s;
 }
 
-function getAllowedEmails() {
-  return (process.env.EDITOR_ALLOWED_EMAILS || '')
-    .split(',')
-    .map(email => email.trim().toLowerCase())
-    .filter(Boolean);
+function draftBranchName(storage, options, label) {
+  if (!options || !options.draft) return null;
+  if (!storage.drafts) throw httpError('Drafts need the GitHub storage backend (CONTENT_STORAGE=github).', 400);
+  const safeLabel = String(label).toLowerCase().replace(/[^a-z0-9-]/g, '-').replace(/-+/g, '-').slice(0, 50);
+  return `${DRAFT_BRANCH_PREFIX}${safeLabel}-${Date.now().toString(36)}`;
 }
 
-function getBearerToken(req) {
-  const header = req.headers.authorization || req.headers.Authorization || '';
-  const match = String(header).match(/^Bearer\s+(.+)$/i);
-  return match ? match[1].trim() : '';
+// Each editor action is one commit. build(ref) reads at the storage head and returns { message, changes };
+// if the head moves before the commit lands, the changes are rebuilt on the new head.
+export async function commitChanges(storage, draftBranch, build) {
+  for (let attempt = 0; attempt < COMMIT_ATTEMPTS; attempt += 1) {
+    const parent = await storage.head();
+    const { message, changes } = await build(parent);
+    if (!changes.length) return null;
+    const commit = await storage.commit({ parent, changes, message, draftBranch });
+    if (commit) return commit;
+  }
+  throw httpError('Content changed while saving. Please try again.', 409);
 }
 
-export async function verifyEditorAccess(req) {
-  const token = getBearerToken(req);
-  const allowedEmails = getAllowedEmails();
+async function finishWrite(storage, commit, result, title, editorEmail) {
+  if (!commit || !commit.draft) return result;
+  const draft = await storage.createDraft({
+    branch: commit.branch,
+    title: 'Content draft: ' + title,
+    body: `Saved as a draft by ${editorEmail} via the content editor.\n\nReview the changes, then publish from /content-editor.html (or merge this pull request).`,
+  });
+  return {
+    ...result,
+    draft,
+    message: '草稿已建立，請另一位編輯審核後再發布。',
+  };
+}
 
-  if (process.env.EDITOR_DEV_TOKEN && token === process.env.EDITOR_DEV_TOKEN) {
-    return { ok: true, email: 'local-dev-editor', provider: 'dev-token' };
-  }
+export async function listDrafts() {
+  return getContentStorage().listDrafts();
+}
 
-  if (!process.env.GOOGLE_CLIENT_ID) {
-    return {
-      ok: false,
-      status: 500,
-      error: 'Content editor auth is not configured. Add GOOGLE_CLIENT_ID in Vercel.',
-    };
-  }
+export async function publishDraft(number, editorEmail = 'editor') {
+  const storage = getContentStorage();
+  const { number: published, paths = [] } = await storage.publishDraft(number, editorEmail);
+  await sendContentPublished(storage, paths, editorEmail);
+  return {
+    success: true,
+    type: 'draft',
+    number: published,
+    message: '草稿已發布，將於下次建站後顯示於網站。',
+  };
+}
 
-  if (!allowedEmails.length) {
-    return {
-      ok: false,
-      status: 500,
-      error: 'No editor emails are configured. Add EDITOR_ALLOWED_EMAILS in Vercel.',
-    };
-  }
+export async function discardDraft(number, editorEmail = 'editor') {
+  const { number: discarded } = await getContentStorage().discardDraft(number, editorEmail);
+  return {
+    success: true,
+    type: 'draft',
+    number: discarded,
+    message: '草稿已捨棄。',
+  };
+}
 
-  if (!token) {
-    return { ok: false, status: 401, error: 'Please sign in with Google before saving.' };
+// Tells the brand inbox which of `paths` are posts that just went live. The content is already
+// published by then, so a mail failure is only logged.
+async function sendContentPublished(storage, paths, publishedBy) {
+  const postPaths = paths.filter(filePath => POST_PATH_PATTERN.test(filePath));
+  if (!postPaths.length) return;
+  try {
+    const files = await Promise.all(postPaths.map(filePath => storage.readFile(filePath)));
+    const origin = siteUrl();
+    const posts = files
+      .map((file, index) => file.sha && parsePost(postPaths[index], file.content))
+      .filter(Boolean)
+      .map(post => ({ title: post.title, date: post.date, url: origin ? `${origin}/blog/${post.slug}.html` : '', excerpt: post.excerpt }));
+    if (!posts.length) return;
+    const brand = await loadSiteData('brand');
+    const message = await renderEmail('content-published', { published_by: publishedBy, posts });
+    await sendMail({ to: process.env.NOTIFY_EMAIL_TO || brand.social.email.address, ...message });
+  } catch (err) {
+    console.error('Content published email error:', err);
   }
+}
 
-  const url = 'https://oauth2.googleapis.com/tokeninfo?id_token=' + encodeURIComponent(token);
-  const response = await fetch(url);
-  if (!response.ok) {
-    return { ok: false, status: 401, error: 'Google sign-in token could not be verified.' };
-  }
+// A 409 with the remote version lets the editor offer merge or overwrite instead of silently replacing it.
+function conflictError(message, reason, current) {
+  const err = httpError(message, 409);
+  err.conflict = { reason, current };
+  return err;
+}
 
-  const profile = await response.json();
-  const email = String(profile.email || '').toLowerCase();
-  const emailVerified = String(profile.email_verified) === 'true' || profile.email_verified === true;
+function validatePostPath(postPath) {
+  const match = String(postPath || '').match(POST_PATH_PATTERN);
+  if (!match) throw httpError('Invalid post path. Expected _posts/YYYY-MM-DD-slug.md', 400);
+  return { date: match[1], slug: match[2] };
+}
 
-  if (profile.aud !== process.env.GOOGLE_CLIENT_ID) {
-    return { ok: false, status: 401, error: 'Google sign-in token was issued for a different app.' };
+// Publish times are entered and stored in Asia/Taipei (UTC+8, no daylight saving).
+function parseTaipeiTime(date, time) {
+  const dateStr = String(date || '').trim().slice(0, 10);
+  const timeStr = String(time || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr) || (timeStr && !/^\d{2}:\d{2}(:\d{2})?$/.test(timeStr))) {
+    throw httpError('Invalid publish date/time. Use YYYY-MM-DD and HH:mm (Asia/Taipei).', 400);
   }
-
-  if (!email || !emailVerified) {
-    return { ok: false, status: 403, error: 'Please use a Google account with a verified email.' };
+  const fullTime = timeStr ? (timeStr.length === 5 ? timeStr + ':00' : timeStr) : '';
+  const publishAt = new Date(`${dateStr}T${fullTime || '00:00:00'}+08:00`);
+  if (Number.isNaN(publishAt.getTime())) {
+    throw httpError('Invalid publish date/time. Use YYYY-MM-DD and HH:mm (Asia/Taipei).', 400);
   }
+  return {
+    date: dateStr,
+    time: fullTime ? fullTime.slice(0, 5) : '',
+    frontMatterDate: fullTime ? `${dateStr} ${fullTime} +0800` : dateStr,
+    publishAt,
+  };
+}
 
-  if (!allowedEmails.includes(email)) {
-    return { ok: false, status: 403, error: 'This email is not on the editor allowlist: ' + email };
-  }
+function parsePost(postPath, text) {
+  const { date, slug: fileSlug } = validatePostPath(postPath);
+  const match = String(text || '').match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  const frontMatter = match ? YAML.parse(match[1]) || {} : {};
+  const permalinkSlug = String(frontMatter.permalink || '').match(/^\/blog\/([a-z0-9-]+)\.html$/);
+  const dateValue = String(frontMatter.date || date);
+  const timeMatch = dateValue.match(/[ T](\d{2}:\d{2})/);
+  const publishAt = new Date(`${dateValue.slice(0, 10)}T${timeMatch ? timeMatch[1] : '00:00'}:00+08:00`);
 
-  return { ok: true, email, provider: 'google' };
+  return {
+    path: postPath,
+    slug: permalinkSlug ? permalinkSlug[1] : fileSlug,
+    date: dateValue.slice(0, 10),
+    time: timeMatch ? timeMatch[1] : '',
+    scheduled: publishAt.getTime() > Date.now(),
+    title: frontMatter.title || '',
+    excerpt: frontMatter.excerpt || '',
+    image: frontMatter.image || '',
+    image_srcset: frontMatter.image_srcset || null,
+    ig_link: frontMatter.ig_link || '',
+    content: match ? match[2].replace(/^\s*\n/, '').trimEnd() : String(text || ''),
+  };
 }
 
-export function escapeYamlValue(str) {
-  if (str == null) return '';
-  const s = String(str).trim();
-  if (!s) return '';
-  if (/[:"#[\]{}|>*]/.test(s) || s.includes("'")) {
-    return '"' + s.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
-  }
-  return s;
+export async function readPosts(storage, ref) {
+  const files = (await storage.listDirectory(POSTS_DIR, ref))
+    .filter(file => POST_PATH_PATTERN.test(file.path));
+  return (await storage.readFiles(files)).map(file => ({ ...parsePost(file.path, file.content), sha: file.sha }));
 }
 
-function contentBlock(str) {
-  if (str == null) return '';
-  const s = String(str).trim();
-  if (!s) return '';
-  if (/\n/.test(s)) {
-    return '|\n' + s.split(/\r?\n/).map(line => '  ' + line).join('\n');
-  }
-  return escapeYamlValue(s);
+// Repo paths of the images posts other than `exceptPaths` show (a post may have picked another's image)
+async function imagesUsedByPosts(storage, ref, exceptPaths) {
+  const posts = (await readPosts(storage, ref)).filter(post => !exceptPaths.includes(post.path));
+  return new Set(posts.flatMap(post => imagePaths(post.image, post.image_srcset)));
 }
 
-async function getFile(owner, repo, path, branch, token) {
-  const url = `${GITHUB_API}/repos/${owner}/${repo}/contents/${encodeGitHubPath(path)}?ref=${encodeURIComponent(branch)}`;
-  const res = await fetch(url, {
-    headers: { Authorization: `token ${token}`, Accept: 'application/vnd.github.v3+json' },
-  });
-  if (res.status !== 200) return { sha: null, content: null };
-  const data = await res.json();
-  const content = data.content ? Buffer.from(data.content, 'base64').toString('utf8') : null;
-  return { sha: data.sha, content };
-}
-
-async function putFile(owner, repo, path, content, message, branch, token, sha = null) {
-  const url = `${GITHUB_API}/repos/${owner}/${repo}/contents/${encodeGitHubPath(path)}`;
-  const base64 = Buffer.isBuffer(content)
-    ? content.toString('base64')
-    : Buffer.from(content, 'utf8').toString('base64');
-  const body = { message, content: base64, branch };
-  if (sha) body.sha = sha;
-
-  const res = await fetch(url, {
-    method: 'PUT',
-    headers: {
-      Authorization: `token ${token}`,
-      Accept: 'application/vnd.github.v3+json',
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(body),
-  });
-  if (!res.ok) throw new Error(`GitHub API: ${res.status} ${await res.text()}`);
-  return res.json();
+// Uploads before the image pipeline are blog_<slug>.<ext>; pipeline variants are blog_<slug>.<width>w.<ext>.
+// Files another post still shows are kept; `ownPosts` are the posts being saved or deleted.
+async function postImageDeletions(storage, ref, slugs, keep = [], ownPosts = []) {
+  const names = new Set(slugs.filter(Boolean).map(slug => 'blog_' + slug));
+  const files = (await storage.listDirectory(POST_IMAGE_DIR, ref))
+    .filter(file => names.has(file.name.replace(/(\.\d+w)?\.[^.]+$/, '')) && !keep.includes(file.path));
+  if (!files.length) return [];
+  const inUse = await imagesUsedByPosts(storage, ref, ownPosts);
+  return files
+    .filter(file => !inUse.has(file.path))
+    .map(file => ({ path: file.path, delete: true }));
+}
+
+// An image already in the media library, by its src or the path of any of its files
+async function findLibraryImage(storage, ref, src) {
+  const imagePath = String(src || '').trim().replace(/^\//, '');
+  const dir = IMAGE_DIRS.find(name => imagePath.startsWith(name + '/'));
+  const image = dir && !imagePath.slice(dir.length + 1).includes('/')
+    ? groupImageFiles(await storage.listDirectory(dir, ref)).find(item => item.id === imagePath || item.files.some(file => file.path === imagePath))
+    : null;
+  if (!image) throw httpError('Image not found in the media library: ' + src, 400);
+  return image;
 }
 
-function getRepoConfig() {
-  const token = process.env.GITHUB_TOKEN;
-  const repoFull = process.env.GITHUB_REPO;
-  const branch = process.env.GITHUB_BRANCH || 'main';
+function srcsetFrontMatter(srcset) {
+  const formats = Object.keys(srcset || {});
+  if (!formats.length) return [];
+  return ['image_srcset:'].concat(formats.map(format => `  ${format}: ${escapeYamlValue(srcset[format])}`));
+}
 
-  if (!token || !repoFull) {
-    const missing = [];
-    if (!token) missing.push('GITHUB_TOKEN');
-    if (!repoFull) missing.push('GITHUB_REPO');
-    throw new Error('Server not configured for content saving. Add ' + missing.join(' and ') + ' in Vercel.');
-  }
+async function loadPublishQueue(storage, ref) {
+  const { sha, content } = await storage.readFile(PUBLISH_QUEUE_PATH, ref);
+  const entries = YAML.parse(content || '') || [];
+  return { sha, entries: Array.isArray(entries) ? entries : [] };
+}
 
-  const [owner, repo] = repoFull.split('/').filter(Boolean);
-  if (!owner || !repo) throw new Error('Invalid GITHUB_REPO (use owner/repo)');
-  return { token, owner, repo, branch };
+function serializePublishQueue(entries) {
+  if (!entries.length) return '[]\n';
+  return YAML.stringify(entries, { lineWidth: 0 });
 }
 
-function validateImage(imagePayload) {
-  if (!imagePayload || !imagePayload.data) return null;
-  const extension = String(imagePayload.extension || 'jpg').replace(/^\./, '').toLowerCase();
-  if (!/^(jpe?g|png|gif|webp)$/.test(extension)) {
-    const err = new Error('Image type not allowed (use jpg, png, gif, webp)');
-    err.status = 400;
-    throw err;
-  }
-  const buffer = Buffer.from(imagePayload.data, 'base64');
-  if (buffer.length > 4 * 1024 * 1024) {
-    const err = new Error('Image too large (max 4MB)');
-    err.status = 400;
-    throw err;
+async function publishQueueChanges(storage, ref, update) {
+  const { entries } = await loadPublishQueue(storage, ref);
+  const next = update(entries.slice());
+  if (JSON.stringify(next) === JSON.stringify(entries)) return [];
+  return [{ path: PUBLISH_QUEUE_PATH, content: serializePublishQueue(next) }];
+}
+
+export async function publishScheduledPosts(now = new Date()) {
+  const storage = getContentStorage();
+  let due = [];
+  let remaining = [];
+
+  // Removing due entries commits to GITHUB_BRANCH, which triggers the rebuild that makes the posts visible.
+  const commit = await commitChanges(storage, null, async ref => {
+    const { entries } = await loadPublishQueue(storage, ref);
+    due = entries.filter(entry => new Date(entry.publish_at).getTime() <= now.getTime());
+    remaining = entries.filter(entry => !due.includes(entry));
+    return {
+      message: `Scheduled publish: ${due.map(entry => entry.slug).join(', ')}`,
+      changes: due.length ? [{ path: PUBLISH_QUEUE_PATH, content: serializePublishQueue(remaining) }] : [],
+    };
+  });
+  if (!commit) return { success: true, published: [], pending: remaining.length };
+
+  if (process.env.VERCEL_DEPLOY_HOOK_URL) {
+    const res = await fetch(process.env.VERCEL_DEPLOY_HOOK_URL, { method: 'POST' });
+    if (!res.ok) console.error('deploy hook failed:', res.status, await res.text());
   }
-  return { extension, buffer };
+  await sendContentPublished(storage, due.map(entry => entry.path), '');
+
+  return { success: true, published: due.map(entry => entry.path), pending: remaining.length };
+}
+
+export async function listPosts() {
+  const posts = (await readPosts(getContentStorage())).map(post => {
+    delete post.content;
+    return post;
+  });
+  return posts.sort((a, b) => b.date.localeCompare(a.date) || b.path.localeCompare(a.path));
+}
+
+export async function getPost(postPath) {
+  const storage = getContentStorage();
+  validatePostPath(postPath);
+  const { sha, content } = await storage.readFile(postPath);
+  if (!sha) throw httpError('Post not found: ' + postPath, 404);
+  return { ...parsePost(postPath, content), sha };
+}
+
+export async function deletePost(postPath, editorEmail = 'editor', options = {}) {
+  const storage = getContentStorage();
+  const { slug: fileSlug } = validatePostPath(postPath);
+  let post = null;
+  let removedImages = [];
+  let diff = [];
+
+  const commit = await commitChanges(storage, draftBranchName(storage, options, 'delete-post-' + fileSlug), async ref => {
+    const { sha, content } = await storage.readFile(postPath, ref);
+    if (!sha) throw httpError('Post not found: ' + postPath, 404);
+    post = parsePost(postPath, content);
+    const imageSlug = (String(post.image).match(/^\/img\/programs\/blog_([^/]+?)(?:\.\d+w)?\.[a-z]+$/i) || [])[1];
+    const imageChanges = await postImageDeletions(storage, ref, [post.slug, imageSlug], [], [postPath]);
+    removedImages = imageChanges.map(change => change.path);
+    diff = diffSummary(post, null, POST_DIFF_FIELDS);
+    return {
+      message: `Content editor (${editorEmail}): delete post ${post.slug}`,
+      changes: [
+        { path: postPath, delete: true },
+        ...imageChanges,
+        ...await publishQueueChanges(storage, ref, entries => entries.filter(entry => entry.path !== postPath)),
+      ],
+    };
+  });
+
+  return finishWrite(storage, commit, {
+    success: true,
+    type: 'post',
+    postPath,
+    removedImages,
+    diff,
+    message: '文章已刪除，將於下次建站後從專業分享移除。',
+  }, 'delete post ' + post.slug, editorEmail);
 }
 
-export async function savePost(body, editorEmail = 'editor') {
-  const { token, owner, repo, branch } = getRepoConfig();
-  const { title, date, slug, excerpt, content: bodyContent, ig_link: igLink, image: imagePayload } = body || {};
+export async function savePost(body, editorEmail = 'editor', options = {}) {
+  const storage = getContentStorage();
+  const {
+    title,
+    date,
+    time,
+    slug,
+    excerpt,
+    content: bodyContent,
+    ig_link: igLink,
+    image: imagePayload,
+    image_path: libraryImagePath,
+    original_path: originalPath,
+    base_sha: baseSha,
+    force,
+  } = body || {};
 
   if (!title || !date || !slug || !excerpt || bodyContent == null) {
-    const err = new Error('Missing required fields: title, date, slug, excerpt, content');
-    err.status = 400;
-    throw err;
+    throw httpError('Missing required fields: title, date, slug, excerpt, content', 400);
   }
 
   const safeSlug = String(slug).toLowerCase().replace(/[^a-z0-9-]/g, '-').replace(/-+/g, '-') || 'post';
-  const dateStr = String(date).trim().slice(0, 10);
+  const publish = parseTaipeiTime(date, time);
+  const dateStr = publish.date;
+  const scheduled = publish.publishAt.getTime() > Date.now();
   const postPath = `_posts/${dateStr}-${safeSlug}.md`;
-  const image = validateImage(imagePayload);
-
-  const frontMatter = [
-    'layout: post',
-    'title: ' + escapeYamlValue(title),
-    'date: ' + dateStr,
-  ];
-  if (image) frontMatter.push('image: /img/programs/blog_' + safeSlug + '.' + image.extension);
-  frontMatter.push('excerpt: ' + escapeYamlValue(excerpt), 'permalink: /blog/' + safeSlug + '.html');
-  if (igLink && String(igLink).trim()) frontMatter.push('ig_link: ' + String(igLink).trim());
-
-  const markdown = '---\n' + frontMatter.join('\n') + '\n---\n\n' + (bodyContent || '').trim() + '\n';
-  const { sha: postSha } = await getFile(owner, repo, postPath, branch, token);
-  await putFile(owner, repo, postPath, markdown, `Content editor (${editorEmail}): save post ${safeSlug}`, branch, token, postSha);
-
-  if (image) {
-    const imgPath = `img/programs/blog_${safeSlug}.${image.extension}`;
-    const { sha: imageSha } = await getFile(owner, repo, imgPath, branch, token);
-    await putFile(owner, repo, imgPath, image.buffer, `Content editor (${editorEmail}): save post image ${safeSlug}`, branch, token, imageSha);
-  }
+  const upload = await processImage(imagePayload, 'posts');
+  const image = upload && imageFiles(`${POST_IMAGE_DIR}/blog_${safeSlug}`, upload);
+  if (originalPath) validatePostPath(originalPath);
+  let postSha = null;
+  let postImage = '';
+  let diff = [];
+
+  const commit = await commitChanges(storage, draftBranchName(storage, options, 'post-' + safeSlug), async ref => {
+    let previous = null;
+    if (originalPath) {
+      const { sha, content } = await storage.readFile(originalPath, ref);
+      if (sha) previous = { ...parsePost(originalPath, content), sha };
+      if (!force && !sha) throw conflictError('Post was deleted after you loaded it: ' + originalPath, 'deleted', null);
+      if (!force && baseSha && sha !== baseSha) throw conflictError('Post was changed by someone else after you loaded it: ' + originalPath, 'changed', previous);
+    }
+    if (!force && (!previous || previous.path !== postPath)) {
+      const { sha, content } = await storage.readFile(postPath, ref);
+      if (sha) throw conflictError('A post already exists at ' + postPath, 'exists', { ...parsePost(postPath, content), sha });
+    }
+
+    const picked = !image && libraryImagePath ? await findLibraryImage(storage, ref, libraryImagePath) : null;
+    const frontMatter = [
+      'layout: post',
+      'title: ' + escapeYamlValue(title),
+      'date: ' + publish.frontMatterDate,
+    ];
+    if (image) frontMatter.push('image: ' + image.image, ...srcsetFrontMatter(image.srcset));
+    else if (picked) frontMatter.push('image: ' + picked.image, ...srcsetFrontMatter(picked.srcset));
+    else if (previous && previous.image) frontMatter.push('image: ' + previous.image, ...srcsetFrontMatter(previous.image_srcset));
+    frontMatter.push('excerpt: ' + escapeYamlValue(excerpt), 'permalink: /blog/' + safeSlug + '.html');
+    if (igLink && String(igLink).trim()) frontMatter.push('ig_link: ' + String(igLink).trim());
+
+    const markdown = '---\n' + frontMatter.join('\n') + '\n---\n\n' + (bodyContent || '').trim() + '\n';
+    const saved = parsePost(postPath, markdown);
+    postSha = gitBlobSha(markdown);
+    postImage = saved.image;
+    diff = diffSummary(previous, saved, POST_DIFF_FIELDS);
+    const changes = [{ path: postPath, content: markdown }];
+    const ownPosts = previous ? [postPath, previous.path] : [postPath];
+    if (image) {
+      // A new upload replaces every earlier file for this slug (older formats and widths included)
+      changes.push(...image.files);
+      changes.push(...await postImageDeletions(storage, ref, [safeSlug], image.files.map(file => file.path), ownPosts));
+    } else if (picked && previous && previous.image !== picked.image) {
+      // The post's own earlier upload would otherwise be left behind unused
+      changes.push(...await postImageDeletions(storage, ref, [previous.slug], picked.files.map(file => file.path), ownPosts));
+    }
+
+    const renamed = previous && previous.path !== postPath;
+    if (renamed) {
+      changes.push({ path: previous.path, delete: true });
+      if (image && previous.slug !== safeSlug) changes.push(...await postImageDeletions(storage, ref, [previous.slug], [], ownPosts));
+    }
+
+    changes.push(...await publishQueueChanges(storage, ref, entries => {
+      const next = entries.filter(entry => entry.path !== postPath && !(previous && entry.path === previous.path));
+      if (scheduled) next.push({ path: postPath, slug: safeSlug, title: String(title).trim(), publish_at: publish.publishAt.toISOString() });
+      return next.sort((a, b) => String(a.publish_at).localeCompare(String(b.publish_at)));
+    }));
+
+    const action = renamed && previous.slug !== safeSlug ? `rename post ${previous.slug} to ${safeSlug}` : `save post ${safeSlug}`;
+    return {
+      message: `Content editor (${editorEmail}): ${action}${scheduled ? ' (scheduled)' : ''}`,
+      changes,
+    };
+  });
 
-  return {
+  return finishWrite(storage, commit, {
     success: true,
     type: 'post',
     postPath,
+    sha: postSha,
+    image: postImage,
     url: '/blog/' + safeSlug + '.html',
-    message: '文章已儲存，將於下次建站後顯示於專業分享。',
-  };
+    scheduled,
+    publish_at: publish.publishAt.toISOString(),
+    diff,
+    message: scheduled
+      ? '文章已排程，將於 ' + publish.date + ' ' + publish.time + '（台北時間）自動發布。'
+      : '文章已儲存，將於下次建站後顯示於專業分享。',
+  }, 'post ' + safeSlug, editorEmail);
+}
+
+function testimonialId(entry) {
+  if (entry.id) return String(entry.id);
+  const digest = crypto.createHash('sha1').update(`${entry.name}\n${entry.content}`).digest('hex');
+  return 't-' + digest.slice(0, 8);
+}
+
+function testimonialVersion(entry) {
+  const fields = [entry.name, entry.image, entry.category, entry.content, entry.instagram, Boolean(entry.featured), Boolean(entry.hidden)];
+  return crypto.createHash('sha1').update(JSON.stringify(fields)).digest('hex').slice(0, 12);
+}
+
+function parseTestimonials(text) {
+  const data = YAML.parse(text || '') || [];
+  if (!Array.isArray(data)) throw new Error(TESTIMONIALS_PATH + ' must contain a YAML list');
+  return data.filter(Boolean).map(entry => ({ ...entry, id: testimonialId(entry) }));
+}
+
+function serializeTestimonials(entries) {
+  const list = entries.map(entry => {
+    const item = {
+      id: entry.id,
+      name: entry.name,
+      image: entry.image || DEFAULT_TESTIMONIAL_IMAGE,
+    };
+    if (entry.image_srcset) item.image_srcset = entry.image_srcset;
+    Object.assign(item, {
+      category: entry.category,
+      content: entry.content,
+      instagram: entry.instagram || DEFAULT_INSTAGRAM_URL,
+    });
+    if (entry.featured) item.featured = true;
+    if (entry.hidden) item.hidden = true;
+    return item;
+  });
+  return YAML.stringify(list, { lineWidth: 0 }).replace(/\n(?=- )/g, '\n\n');
+}
+
+export async function loadTestimonials(storage, ref) {
+  const { sha, content } = await storage.readFile(TESTIMONIALS_PATH, ref);
+  return { sha, entries: parseTestimonials(content) };
 }
 
-export async function saveTestimonial(body, editorEmail = 'editor') {
-  const { token, owner, repo, branch } = getRepoConfig();
-  const { name, category, content, instagram, image: imagePayload } = body || {};
+function findTestimonial(entries, id) {
+  const index = entries.findIndex(entry => entry.id === String(id));
+  if (index < 0) throw httpError('Testimonial not found: ' + id, 404);
+  return index;
+}
 
-  if (!name || !category || content == null) {
-    const err = new Error('Missing required fields: name, category, content');
-    err.status = 400;
-    throw err;
+// Deletions for a removed or replaced testimonial photo, unless another entry or a post still shows it
+async function testimonialImageDeletions(storage, ref, old, entries, keep = []) {
+  if (entries.some(entry => entry.image === old.image)) return [];
+  const changes = [];
+  for (const imagePath of imagePaths(old.image, old.image_srcset)) {
+    if (!/^img\/testimonials\/[^/]+$/.test(imagePath) || '/' + imagePath === DEFAULT_TESTIMONIAL_IMAGE || keep.includes(imagePath)) continue;
+    const { sha } = await storage.readFile(imagePath, ref);
+    if (sha) changes.push({ path: imagePath, delete: true });
   }
+  if (!changes.length) return [];
+  const inUse = await imagesUsedByPosts(storage, ref, []);
+  return changes.filter(change => !inUse.has(change.path));
+}
+
+export async function listTestimonials() {
+  const storage = getContentStorage();
+  const { entries } = await loadTestimonials(storage);
+  return entries.map(entry => ({ ...entry, version: testimonialVersion(entry) }));
+}
+
+export async function saveTestimonial(body, editorEmail = 'editor', options = {}) {
+  const storage = getContentStorage();
+  const { id, name, category, content, instagram, featured, hidden, image: imagePayload, base_version: baseVersion, force } = body || {};
+
+  if (!name || !category || content == null) throw httpError('Missing required fields: name, category, content', 400);
 
   const slug = String(name).replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_\u4e00-\u9fff-]/g, '').slice(0, 30) || 'testimonial';
-  const image = validateImage(imagePayload);
-  const imagePath = image ? `/img/testimonials/${slug}.${image.extension}` : '/img/testimonials/default.jpg';
-
-  const { sha: yamlSha, content: existingYaml } = await getFile(owner, repo, TESTIMONIALS_PATH, branch, token);
-  const newEntry = [
-    '',
-    '- name: ' + escapeYamlValue(name),
-    '  image: ' + imagePath,
-    '  category: ' + escapeYamlValue(category),
-    '  content: ' + contentBlock(content),
-    '  instagram: ' + (instagram && String(instagram).trim() ? escapeYamlValue(instagram) : DEFAULT_INSTAGRAM_URL),
-  ].join('\n');
-  const newYaml = (existingYaml || '').trimEnd() + newEntry + '\n';
-
-  await putFile(owner, repo, TESTIMONIALS_PATH, newYaml, `Content editor (${editorEmail}): add testimonial ${name}`, branch, token, yamlSha);
-
-  if (image) {
-    const imgPath = `img/testimonials/${slug}.${image.extension}`;
-    const { sha: imageSha } = await getFile(owner, repo, imgPath, branch, token);
-    await putFile(owner, repo, imgPath, image.buffer, `Content editor (${editorEmail}): save testimonial image ${slug}`, branch, token, imageSha);
-  }
+  const upload = await processImage(imagePayload, 'testimonials');
+  const image = upload && imageFiles(`img/testimonials/${slug}`, upload);
+  const entryId = id ? String(id) : 't-' + crypto.randomBytes(4).toString('hex');
+  let action = 'add';
+  let version = null;
+  let diff = [];
+
+  const commit = await commitChanges(storage, draftBranchName(storage, options, 'testimonial-' + entryId), async ref => {
+    const { entries } = await loadTestimonials(storage, ref);
+    const index = id ? entries.findIndex(entry => entry.id === String(id)) : -1;
+    const previous = index >= 0 ? entries[index] : null;
+    if (id && !previous && !force) throw conflictError('Testimonial was deleted after you loaded it: ' + id, 'deleted', null);
+    if (previous && !force && baseVersion && testimonialVersion(previous) !== baseVersion) {
+      throw conflictError('Testimonial was changed by someone else after you loaded it: ' + previous.name, 'changed', { ...previous, version: testimonialVersion(previous) });
+    }
+
+    const entry = {
+      id: entryId,
+      name: String(name).trim(),
+      image: image ? image.image : (previous && previous.image) || DEFAULT_TESTIMONIAL_IMAGE,
+      image_srcset: image ? image.srcset : (previous && previous.image_srcset) || null,
+      category: String(category).trim(),
+      content: String(content).trim(),
+      instagram: instagram && String(instagram).trim() ? String(instagram).trim() : DEFAULT_INSTAGRAM_URL,
+      featured: Boolean(featured),
+      hidden: Boolean(hidden),
+    };
+    if (previous) entries[index] = entry;
+    else entries.push(entry);
+
+    action = previous ? 'update' : 'add';
+    version = testimonialVersion(entry);
+    diff = diffSummary(previous, entry, TESTIMONIAL_DIFF_FIELDS);
+    const changes = [{ path: TESTIMONIALS_PATH, content: serializeTestimonials(entries) }];
+    if (image) {
+      changes.push(...image.files);
+      // The replaced photo may be an original upload that still carries its metadata
+      if (previous) changes.push(...await testimonialImageDeletions(storage, ref, previous, entries, image.files.map(file => file.path)));
+    }
+    return { message: `Content editor (${editorEmail}): ${action} testimonial ${entry.name}`, changes };
+  });
 
-  return {
+  return finishWrite(storage, commit, {
     success: true,
     type: 'testimonial',
+    id: entryId,
+    version,
+    diff,
     message: '成功案例已儲存，將於下次建站後顯示於成功案例。',
-  };
+  }, `${action} testimonial ${String(name).trim()}`, editorEmail);
+}
+
+export async function deleteTestimonial(id, editorEmail = 'editor', options = {}) {
+  const storage = getContentStorage();
+  let removed = null;
+
+  const commit = await commitChanges(storage, draftBranchName(storage, options, 'delete-testimonial-' + id), async ref => {
+    const { entries } = await loadTestimonials(storage, ref);
+    [removed] = entries.splice(findTestimonial(entries, id), 1);
+    const changes = [
+      { path: TESTIMONIALS_PATH, content: serializeTestimonials(entries) },
+      ...await testimonialImageDeletions(storage, ref, removed, entries),
+    ];
+    return { message: `Content editor (${editorEmail}): delete testimonial ${removed.name}`, changes };
+  });
+
+  return finishWrite(storage, commit, {
+    success: true,
+    type: 'testimonial',
+    id: removed.id,
+    diff: diffSummary(removed, null, TESTIMONIAL_DIFF_FIELDS),
+    message: '成功案例已刪除，將於下次建站後更新。',
+  }, 'delete testimonial ' + removed.name, editorEmail);
+}
+
+export async function reorderTestimonials(ids, editorEmail = 'editor', options = {}) {
+  const storage = getContentStorage();
+  if (!Array.isArray(ids) || !ids.length) throw httpError('Missing testimonial order (ids)', 400);
+  if (new Set(ids.map(String)).size !== ids.length) throw httpError('Each testimonial may appear only once in the order', 400);
+
+  let diff = [];
+
+  const commit = await commitChanges(storage, draftBranchName(storage, options, 'reorder-testimonials'), async ref => {
+    const { entries } = await loadTestimonials(storage, ref);
+    const ordered = ids.map(id => entries[findTestimonial(entries, id)]);
+    const rest = entries.filter(entry => !ordered.includes(entry));
+    const names = list => list.map(entry => entry.name).join(', ');
+    diff = diffSummary({ order: names(entries) }, { order: names(ordered.concat(rest)) });
+    return {
+      message: `Content editor (${editorEmail}): reorder testimonials`,
+      changes: [{ path: TESTIMONIALS_PATH, content: serializeTestimonials(ordered.concat(rest)) }],
+    };
+  });
+
+  return finishWrite(storage, commit, {
+    success: true,
+    type: 'testimonial',
+    diff,
+    message: '成功案例排序已儲存，將於下次建站後更新。',
+  }, 'reorder testimonials', editorEmail);
 }
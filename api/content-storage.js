@@ -0,0 +1,384 @@
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { httpError } from './http-helpers.js';
+
+// Every content storage adapter exposes the same async interface to content-service.js:
+//   head()                          -> ref  (reads and the next commit are based on it)
+//   readFile(filePath, ref?)        -> { sha, content }  (both null when the file is missing; no ref reads the latest)
+//   listDirectory(dirPath, ref?)    -> [{ name, path, sha }]
+//   readFiles(files)                -> [{ path, sha, content }]  (files as listed by listDirectory)
+//   commit({ parent, changes, message, draftBranch }) -> { sha, branch, draft } | null when head moved past parent
+//   createDraft({ branch, title, body }) -> { number, url, branch }
+//   listDrafts(), discardDraft(number, editorEmail)
+//   publishDraft(number, editorEmail) -> { number, paths }  (paths the draft added or changed)
+// changes are { path, content: string | Buffer } or { path, delete: true }. sha is the git blob sha of the file.
+
+const GITHUB_API = 'https://api.github.com';
+const BLOB_CACHE_LIMIT = 1000;
+export const DRAFT_BRANCH_PREFIX = 'content-draft/';
+
+let activeStorage = null;
+
+function encodeGitHubPath(filePath) {
+  return String(filePath).split('/').map(encodeURIComponent).join('/');
+}
+
+export function gitBlobSha(content) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  return crypto.createHash('sha1').update(`blob ${buffer.length}\0`).update(buffer).digest('hex');
+}
+
+function getRepoConfig() {
+  const token = process.env.GITHUB_TOKEN;
+  const repoFull = process.env.GITHUB_REPO;
+  const branch = process.env.GITHUB_BRANCH || 'main';
+
+  if (!token || !repoFull) {
+    const missing = [];
+    if (!token) missing.push('GITHUB_TOKEN');
+    if (!repoFull) missing.push('GITHUB_REPO');
+    throw new Error('Server not configured for content saving. Add ' + missing.join(' and ') + ' in Vercel.');
+  }
+
+  const [owner, repo] = repoFull.split('/').filter(Boolean);
+  if (!owner || !repo) throw new Error('Invalid GITHUB_REPO (use owner/repo)');
+  return { token, owner, repo, branch };
+}
+
+// Any non-2xx answer other than the 404 callers handle themselves. A rate limit or outage must never
+// read as "file missing", or the next commit would replace the file with only the new entry.
+async function githubError(res) {
+  const err = httpError(`GitHub API: ${res.status} ${await res.text()}`, 502);
+  err.githubStatus = res.status;
+  return err;
+}
+
+async function githubApi(config, method, apiPath, body) {
+  const res = await fetch(`${GITHUB_API}/repos/${config.owner}/${config.repo}${apiPath}`, {
+    method,
+    headers: {
+      Authorization: `token ${config.token}`,
+      Accept: 'application/vnd.github.v3+json',
+      'Content-Type': 'application/json',
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!res.ok) throw await githubError(res);
+  return res.status === 204 ? null : res.json();
+}
+
+function summarizeReviews(reviews) {
+  const latest = new Map();
+  for (const review of reviews || []) {
+    if (review.user && review.state !== 'COMMENTED') latest.set(review.user.login, review.state);
+  }
+  const states = Array.from(latest.values());
+  if (states.includes('CHANGES_REQUESTED')) return 'changes_requested';
+  if (states.includes('APPROVED')) return 'approved';
+  return 'pending';
+}
+
+export function createGitHubStorage(config = getRepoConfig()) {
+  // A blob's content never changes for its sha, so files read once (posts, templates) are not fetched
+  // again on later saves and listings of the same instance; only new and edited files are.
+  const blobCache = new Map();
+
+  async function readBlob(sha) {
+    if (!blobCache.has(sha)) {
+      const blob = await githubApi(config, 'GET', `/git/blobs/${sha}`);
+      if (blobCache.size >= BLOB_CACHE_LIMIT) blobCache.delete(blobCache.keys().next().value);
+      blobCache.set(sha, Buffer.from(blob.content, blob.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8'));
+    }
+    return blobCache.get(sha);
+  }
+
+  async function contentsApi(filePath, ref) {
+    const url = `${GITHUB_API}/repos/${config.owner}/${config.repo}/contents/${encodeGitHubPath(filePath)}?ref=${encodeURIComponent(ref || config.branch)}`;
+    return fetch(url, {
+      headers: { Authorization: `token ${config.token}`, Accept: 'application/vnd.github.v3+json' },
+    });
+  }
+
+  async function createCommit(parentSha, changes, message) {
+    const parent = await githubApi(config, 'GET', `/git/commits/${parentSha}`);
+    const tree = await Promise.all(changes.map(async change => {
+      if (change.delete) return { path: change.path, mode: '100644', type: 'blob', sha: null };
+      const content = Buffer.isBuffer(change.content) ? change.content : Buffer.from(change.content, 'utf8');
+      const blob = await githubApi(config, 'POST', '/git/blobs', { content: content.toString('base64'), encoding: 'base64' });
+      return { path: change.path, mode: '100644', type: 'blob', sha: blob.sha };
+    }));
+    const newTree = await githubApi(config, 'POST', '/git/trees', { base_tree: parent.tree.sha, tree });
+    return githubApi(config, 'POST', '/git/commits', { message, tree: newTree.sha, parents: [parentSha] });
+  }
+
+  async function getDraftPull(number) {
+    const pull = await githubApi(config, 'GET', `/pulls/${encodeURIComponent(number)}`).catch(err => {
+      if (err.githubStatus === 404) return null;
+      throw err;
+    });
+    if (!pull || !String(pull.head.ref).startsWith(DRAFT_BRANCH_PREFIX) || pull.base.ref !== config.branch) {
+      throw httpError('Draft not found: #' + number, 404);
+    }
+    if (pull.state !== 'open') {
+      throw httpError('Draft is already ' + (pull.merged_at ? 'published' : 'closed') + ': #' + number, 409);
+    }
+    return pull;
+  }
+
+  return {
+    name: 'github',
+    drafts: true,
+
+    async head() {
+      const ref = await githubApi(config, 'GET', `/git/ref/heads/${encodeGitHubPath(config.branch)}`);
+      return ref.object.sha;
+    },
+
+    async readFile(filePath, ref) {
+      const res = await contentsApi(filePath, ref);
+      if (res.status === 404) return { sha: null, content: null };
+      if (!res.ok) throw await githubError(res);
+      const data = await res.json();
+      const content = data.content ? Buffer.from(data.content, 'base64').toString('utf8') : null;
+      return { sha: data.sha, content };
+    },
+
+    async listDirectory(dirPath, ref) {
+      const res = await contentsApi(dirPath, ref);
+      if (res.status === 404) return [];
+      if (!res.ok) throw await githubError(res);
+      const data = await res.json();
+      return Array.isArray(data) ? data.filter(entry => entry.type === 'file') : [];
+    },
+
+    async readFiles(files) {
+      return Promise.all(files.map(async file => ({ path: file.path, sha: file.sha, content: await readBlob(file.sha) })));
+    },
+
+    // Drafts commit onto GITHUB_BRANCH's head and point a new draft branch at the result.
+    async commit({ parent, changes, message, draftBranch }) {
+      const commit = await createCommit(parent, changes, message);
+      if (draftBranch) {
+        await githubApi(config, 'POST', '/git/refs', { ref: `refs/heads/${draftBranch}`, sha: commit.sha });
+        return { sha: commit.sha, branch: draftBranch, draft: true };
+      }
+      try {
+        await githubApi(config, 'PATCH', `/git/refs/heads/${encodeGitHubPath(config.branch)}`, { sha: commit.sha, force: false });
+      } catch (err) {
+        if (err.githubStatus === 422) return null;
+        throw err;
+      }
+      return { sha: commit.sha, branch: config.branch, draft: false };
+    },
+
+    async createDraft({ branch, title, body }) {
+      const pull = await githubApi(config, 'POST', '/pulls', { title, head: branch, base: config.branch, body });
+      return { number: pull.number, url: pull.html_url, branch };
+    },
+
+    async listDrafts() {
+      const pulls = await githubApi(config, 'GET', `/pulls?state=all&base=${encodeURIComponent(config.branch)}&per_page=50&sort=updated&direction=desc`);
+      const drafts = pulls.filter(pull => pull.head && String(pull.head.ref).startsWith(DRAFT_BRANCH_PREFIX));
+
+      return Promise.all(drafts.map(async pull => {
+        const draft = {
+          number: pull.number,
+          title: pull.title,
+          url: pull.html_url,
+          branch: pull.head.ref,
+          author: (String(pull.body || '').match(/draft by (\S+) via/) || [])[1] || '',
+          created_at: pull.created_at,
+          updated_at: pull.updated_at,
+          state: pull.merged_at ? 'merged' : pull.state,
+        };
+        if (draft.state !== 'open') return draft;
+
+        const [detail, reviews] = await Promise.all([
+          githubApi(config, 'GET', `/pulls/${pull.number}`),
+          githubApi(config, 'GET', `/pulls/${pull.number}/reviews`),
+        ]);
+        return { ...draft, mergeable: detail.mergeable, mergeable_state: detail.mergeable_state, review: summarizeReviews(reviews) };
+      }));
+    },
+
+    async publishDraft(number, editorEmail) {
+      const pull = await getDraftPull(number);
+      try {
+        await githubApi(config, 'PUT', `/pulls/${pull.number}/merge`, {
+          merge_method: 'squash',
+          commit_title: `Content editor (${editorEmail}): publish ${pull.title.replace(/^Content draft: /, '')}`,
+          sha: pull.head.sha,
+        });
+      } catch (err) {
+        if (err.githubStatus === 405 || err.githubStatus === 409) {
+          throw httpError('Draft cannot be published yet (not mergeable). Check the pull request on GitHub.', 409);
+        }
+        throw err;
+      }
+      await githubApi(config, 'DELETE', `/git/refs/heads/${encodeGitHubPath(pull.head.ref)}`).catch(() => null);
+      const files = await githubApi(config, 'GET', `/pulls/${pull.number}/files?per_page=100`).catch(() => []);
+      return { number: pull.number, paths: files.filter(file => file.status !== 'removed').map(file => file.filename) };
+    },
+
+    async discardDraft(number, editorEmail) {
+      const pull = await getDraftPull(number);
+      await githubApi(config, 'POST', `/issues/${pull.number}/comments`, { body: `Discarded by ${editorEmail} via the content editor.` });
+      await githubApi(config, 'PATCH', `/pulls/${pull.number}`, { state: 'closed' });
+      await githubApi(config, 'DELETE', `/git/refs/heads/${encodeGitHubPath(pull.head.ref)}`).catch(() => null);
+      return { number: pull.number };
+    },
+  };
+}
+
+function runGit(root, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd: root }, (error, stdout, stderr) => {
+      if (error) reject(new Error(`git ${args[0]} failed: ${stderr || error.message}`));
+      else resolve(stdout.trim());
+    });
+  });
+}
+
+// Reads and writes the working tree directly, so the editor can run offline against a checkout.
+// With gitCommit, each editor action is also committed to the checked-out branch.
+export function createLocalStorage({ root, gitCommit = false }) {
+  const rootDir = path.resolve(root);
+  let generation = 0;
+  // The commit still writing files, if any; head() waits for it so a save never reads half-written files
+  let writing = Promise.resolve();
+
+  function resolvePath(filePath) {
+    const resolved = path.resolve(rootDir, filePath);
+    if (resolved !== rootDir && !resolved.startsWith(rootDir + path.sep)) {
+      throw httpError('Path is outside the content root: ' + filePath, 400);
+    }
+    return resolved;
+  }
+
+  function draftsUnavailable() {
+    return httpError('Drafts need the GitHub storage backend (CONTENT_STORAGE=github).', 400);
+  }
+
+  // Writes the changes; with gitCommit, commits them and returns the new HEAD
+  async function writeChanges(changes, message) {
+    for (const change of changes) {
+      const target = resolvePath(change.path);
+      if (change.delete) {
+        await fs.rm(target, { force: true });
+      } else {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, change.content);
+      }
+    }
+
+    if (!gitCommit) return null;
+    const paths = changes.map(change => change.path);
+    await runGit(rootDir, ['add', '-A', '--', ...paths]);
+    const staged = (await runGit(rootDir, ['diff', '--cached', '--name-only', '--', ...paths])).split('\n').filter(Boolean);
+    if (staged.length) await runGit(rootDir, ['commit', '-m', message, '--', ...staged]);
+    return runGit(rootDir, ['rev-parse', 'HEAD']);
+  }
+
+  async function readFile(filePath) {
+    try {
+      const buffer = await fs.readFile(resolvePath(filePath));
+      return { sha: gitBlobSha(buffer), content: buffer.toString('utf8') };
+    } catch (err) {
+      if (err.code === 'ENOENT') return { sha: null, content: null };
+      throw err;
+    }
+  }
+
+  return {
+    name: 'local',
+    drafts: false,
+
+    async head() {
+      let current;
+      do {
+        current = writing;
+        await current;
+      } while (current !== writing);
+      return 'local-' + generation;
+    },
+
+    readFile,
+
+    async listDirectory(dirPath) {
+      let entries;
+      try {
+        entries = await fs.readdir(resolvePath(dirPath), { withFileTypes: true });
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const files = entries.filter(entry => entry.isFile() && !entry.name.startsWith('.'));
+      return Promise.all(files.map(async entry => {
+        const filePath = path.posix.join(dirPath, entry.name);
+        const buffer = await fs.readFile(resolvePath(filePath));
+        return { name: entry.name, path: filePath, sha: gitBlobSha(buffer) };
+      }));
+    },
+
+    async readFiles(files) {
+      const read = await Promise.all(files.map(file => readFile(file.path)));
+      return files.map((file, index) => ({ path: file.path, ...read[index] })).filter(file => file.sha);
+    },
+
+    async commit({ parent, changes, message, draftBranch }) {
+      if (draftBranch) throw draftsUnavailable();
+      changes.forEach(change => resolvePath(change.path));
+      // Claim the next generation before any await, so a concurrent save built on the same head retries.
+      if (parent !== 'local-' + generation) return null;
+      generation += 1;
+      const sha = 'local-' + generation;
+      const done = writeChanges(changes, message);
+      writing = done.catch(() => null);
+      return { sha: (await done) || sha, branch: 'working-tree', draft: false };
+    },
+
+    async createDraft() {
+      throw draftsUnavailable();
+    },
+
+    async listDrafts() {
+      return [];
+    },
+
+    async publishDraft(number) {
+      throw httpError('Draft not found: #' + number, 404);
+    },
+
+    async discardDraft(number) {
+      throw httpError('Draft not found: #' + number, 404);
+    },
+  };
+}
+
+function createConfiguredStorage() {
+  const backend = (process.env.CONTENT_STORAGE || 'github').toLowerCase();
+  if (backend === 'local') {
+    return createLocalStorage({
+      root: process.env.CONTENT_LOCAL_ROOT || process.cwd(),
+      gitCommit: process.env.CONTENT_LOCAL_GIT_COMMIT === 'true',
+    });
+  }
+  if (backend !== 'github') throw new Error('Unknown CONTENT_STORAGE: ' + backend + ' (use github or local)');
+  return createGitHubStorage();
+}
+
+export function getContentStorage() {
+  if (!activeStorage) activeStorage = createConfiguredStorage();
+  return activeStorage;
+}
+
+export function setContentStorage(storage) {
+  activeStorage = storage;
+}
+
+export function getContentStorageName() {
+  if (activeStorage) return activeStorage.name;
+  return (process.env.CONTENT_STORAGE || 'github').toLowerCase() === 'local' ? 'local' : 'github';
+}
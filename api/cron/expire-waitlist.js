@@ -0,0 +1 @@
+export { expireWaitlist as default } from '../routes.js';
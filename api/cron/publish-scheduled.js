@@ -0,0 +1 @@
+export { publishScheduled as default } from '../routes.js';
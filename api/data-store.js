@@ -0,0 +1,253 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { httpError } from './http-helpers.js';
+
+// Every store adapter exposes the same async interface, keyed by collection name:
+//   insert(collection, record) -> record   (rejects with status 409 when the id already exists)
+//   get(collection, id)        -> record | null
+//   list(collection)           -> record[]
+//   update(collection, id, patch, expected?) -> record | null
+//   remove(collection, id, expected?)        -> boolean
+// Production adapters only need to implement these five methods. With `expected` ({ field: value }),
+// update and remove apply only while the stored record still has those values, checked atomically, and
+// otherwise act as if the record were missing. That is how two requests racing to change the same
+// record are told apart.
+
+let activeStore = null;
+
+export function createRecordId() {
+  return crypto.randomUUID();
+}
+
+function recordExistsError(collection, id) {
+  return httpError(`Record already exists: ${collection}/${id}`, 409);
+}
+
+function prepareRecord(record) {
+  const id = record.id ? String(record.id) : createRecordId();
+  return { ...record, id };
+}
+
+function matches(entry, expected) {
+  return Boolean(entry) && Object.keys(expected || {}).every(field => entry[field] === expected[field]);
+}
+
+export function createMemoryStore() {
+  const collections = new Map();
+
+  function bucket(collection) {
+    if (!collections.has(collection)) collections.set(collection, new Map());
+    return collections.get(collection);
+  }
+
+  return {
+    async insert(collection, record) {
+      const entry = prepareRecord(record);
+      const items = bucket(collection);
+      if (items.has(entry.id)) throw recordExistsError(collection, entry.id);
+      items.set(entry.id, entry);
+      return { ...entry };
+    },
+    async get(collection, id) {
+      const entry = bucket(collection).get(String(id));
+      return entry ? { ...entry } : null;
+    },
+    async list(collection) {
+      return Array.from(bucket(collection).values(), entry => ({ ...entry }));
+    },
+    async update(collection, id, patch, expected) {
+      const items = bucket(collection);
+      const existing = items.get(String(id));
+      if (!matches(existing, expected)) return null;
+      const entry = { ...existing, ...patch, id: existing.id };
+      items.set(existing.id, entry);
+      return { ...entry };
+    },
+    async remove(collection, id, expected) {
+      if (!matches(bucket(collection).get(String(id)), expected)) return false;
+      return bucket(collection).delete(String(id));
+    },
+  };
+}
+
+export function createJsonFileStore(filePath) {
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw err;
+    }
+  }
+
+  async function write(data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = filePath + '.tmp';
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    await fs.rename(tmpPath, filePath);
+  }
+
+  // Serialise every read-modify-write so concurrent requests cannot clobber each other.
+  function withData(mutate) {
+    const run = queue.then(async () => {
+      const data = await read();
+      const { result, changed } = await mutate(data);
+      if (changed) await write(data);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    insert(collection, record) {
+      return withData(data => {
+        const entry = prepareRecord(record);
+        const items = data[collection] || (data[collection] = {});
+        if (items[entry.id]) throw recordExistsError(collection, entry.id);
+        items[entry.id] = entry;
+        return { result: { ...entry }, changed: true };
+      });
+    },
+    get(collection, id) {
+      return withData(data => {
+        const entry = (data[collection] || {})[String(id)];
+        return { result: entry ? { ...entry } : null, changed: false };
+      });
+    },
+    list(collection) {
+      return withData(data => ({
+        result: Object.values(data[collection] || {}).map(entry => ({ ...entry })),
+        changed: false,
+      }));
+    },
+    update(collection, id, patch, expected) {
+      return withData(data => {
+        const items = data[collection] || {};
+        const existing = items[String(id)];
+        if (!matches(existing, expected)) return { result: null, changed: false };
+        const entry = { ...existing, ...patch, id: existing.id };
+        items[existing.id] = entry;
+        return { result: { ...entry }, changed: true };
+      });
+    },
+    remove(collection, id, expected) {
+      return withData(data => {
+        const items = data[collection] || {};
+        if (!matches(items[String(id)], expected)) return { result: false, changed: false };
+        delete items[String(id)];
+        return { result: true, changed: true };
+      });
+    },
+  };
+}
+
+// Compare-and-swap on one hash field: writes ARGV[3] (or deletes the field when it is empty) only while
+// the field still holds ARGV[2], the JSON the caller checked `expected` against.
+const KV_SWAP_SCRIPT = [
+  "if redis.call('HGET', KEYS[1], ARGV[1]) ~= ARGV[2] then return 0 end",
+  "if ARGV[3] == '' then redis.call('HDEL', KEYS[1], ARGV[1]) else redis.call('HSET', KEYS[1], ARGV[1], ARGV[3]) end",
+  'return 1',
+].join('\n');
+const KV_SWAP_ATTEMPTS = 5;
+
+// Adapter for a Redis-compatible REST API (Vercel KV / Upstash). Each collection is one hash.
+export function createKvStore({ url, token, prefix = 'duo' }) {
+  async function command(args) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || data.error) throw new Error(`Data store: ${res.status} ${data.error || ''}`.trim());
+    return data.result;
+  }
+
+  function key(collection) {
+    return `${prefix}:${collection}`;
+  }
+
+  function parse(value) {
+    return value ? JSON.parse(value) : null;
+  }
+
+  async function swap(collection, id, before, after) {
+    return Boolean(await command(['EVAL', KV_SWAP_SCRIPT, 1, key(collection), id, before, after]));
+  }
+
+  return {
+    async insert(collection, record) {
+      const entry = prepareRecord(record);
+      const created = await command(['HSETNX', key(collection), entry.id, JSON.stringify(entry)]);
+      if (!created) throw recordExistsError(collection, entry.id);
+      return entry;
+    },
+    async get(collection, id) {
+      return parse(await command(['HGET', key(collection), String(id)]));
+    },
+    async list(collection) {
+      const values = await command(['HVALS', key(collection)]);
+      return (values || []).map(parse);
+    },
+    async update(collection, id, patch, expected) {
+      if (expected) {
+        // Retried when another write lands between the read and the swap; a failed check is final
+        for (let attempt = 0; attempt < KV_SWAP_ATTEMPTS; attempt += 1) {
+          const raw = await command(['HGET', key(collection), String(id)]);
+          const existing = parse(raw);
+          if (!matches(existing, expected)) return null;
+          const entry = { ...existing, ...patch, id: existing.id };
+          if (await swap(collection, existing.id, raw, JSON.stringify(entry))) return entry;
+        }
+        return null;
+      }
+      const existing = parse(await command(['HGET', key(collection), String(id)]));
+      if (!existing) return null;
+      const entry = { ...existing, ...patch, id: existing.id };
+      await command(['HSET', key(collection), existing.id, JSON.stringify(entry)]);
+      return entry;
+    },
+    async remove(collection, id, expected) {
+      if (expected) {
+        for (let attempt = 0; attempt < KV_SWAP_ATTEMPTS; attempt += 1) {
+          const raw = await command(['HGET', key(collection), String(id)]);
+          if (!matches(parse(raw), expected)) return false;
+          if (await swap(collection, String(id), raw, '')) return true;
+        }
+        return false;
+      }
+      return Boolean(await command(['HDEL', key(collection), String(id)]));
+    },
+  };
+}
+
+function createConfiguredStore() {
+  const kind = (process.env.DATA_STORE || '').toLowerCase();
+  const kvUrl = process.env.KV_REST_API_URL;
+  const kvToken = process.env.KV_REST_API_TOKEN;
+
+  if (kind === 'memory') return createMemoryStore();
+  if (kind === 'kv' || (!kind && kvUrl && kvToken)) {
+    if (!kvUrl || !kvToken) {
+      throw new Error('Data store not configured. Add KV_REST_API_URL and KV_REST_API_TOKEN in Vercel.');
+    }
+    return createKvStore({ url: kvUrl, token: kvToken, prefix: process.env.KV_PREFIX || 'duo' });
+  }
+  if (kind === 'json' || (!kind && !process.env.VERCEL)) {
+    return createJsonFileStore(process.env.DATA_STORE_PATH || path.join(process.cwd(), '.data', 'store.json'));
+  }
+  throw new Error('Data store not configured. Add KV_REST_API_URL and KV_REST_API_TOKEN in Vercel.');
+}
+
+export function getDataStore() {
+  if (!activeStore) activeStore = createConfiguredStore();
+  return activeStore;
+}
+
+export function setDataStore(store) {
+  activeStore = store;
+}
@@ -0,0 +1,82 @@
+import { escapeHtml } from './http-helpers.js';
+
+// HTML for the /api/dev/outbox viewer: the list of captured messages and, when one is selected, its
+// headers, plain-text part, HTML part (shown in a sandboxed iframe so message scripts never run) and
+// attachments such as calendar invites.
+
+function formatTime(iso) {
+  const time = Date.parse(iso);
+  return Number.isNaN(time) ? '' : new Date(time).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
+}
+
+function renderMessage(message) {
+  const headers = [
+    ['From', message.from],
+    ['To', message.to],
+    ['Reply-To', message.replyTo],
+    ['Subject', message.subject],
+    ['時間', formatTime(message.created_at)],
+  ].filter(([, value]) => value);
+
+  return `
+    <h2>${escapeHtml(message.subject)}</h2>
+    <table class="headers">
+      ${headers.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+    </table>
+    ${message.html ? `<h3>HTML</h3><iframe sandbox srcdoc="${escapeHtml(message.html)}"></iframe>` : ''}
+    <h3>純文字</h3>
+    <pre>${escapeHtml(message.text)}</pre>
+    ${(message.attachments || []).map(file => `
+    <h3>附件：${escapeHtml(file.filename)} <small>${escapeHtml(file.contentType)}</small></h3>
+    <pre>${escapeHtml(file.content)}</pre>`).join('')}`;
+}
+
+export function renderOutboxPage({ messages, selectedId, transportName, dir }) {
+  const selected = messages.find(message => message.id === selectedId) || messages[0];
+  const notice = transportName === 'outbox'
+    ? `郵件不會真的寄出，而是存到 <code>${escapeHtml(dir)}</code>。`
+    : `目前的寄信方式為 <code>${escapeHtml(transportName)}</code>，新郵件會真的寄出；設定 <code>EMAIL_TRANSPORT=outbox</code> 即可改存到這裡。`;
+
+  const rows = messages.map(message => `
+      <li class="${selected && message.id === selected.id ? 'active' : ''}">
+        <a href="?id=${encodeURIComponent(message.id)}">
+          <strong>${escapeHtml(message.subject)}${message.attachments && message.attachments.length ? ' 📎' : ''}</strong>
+          <span>${escapeHtml(message.to)}・${escapeHtml(formatTime(message.created_at))}</span>
+        </a>
+      </li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="zh-TW">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Outbox（開發用）</title>
+  <style>
+    body { margin: 0; font-family: Arial, 'Microsoft JhengHei', sans-serif; color: #333; }
+    header { padding: 12px 20px; background: #000; color: #fff; }
+    header p { margin: 4px 0 0; font-size: 13px; color: #ccc; }
+    main { display: flex; min-height: calc(100vh - 70px); }
+    ul { list-style: none; margin: 0; padding: 0; width: 320px; border-right: 1px solid #dee2e6; overflow-y: auto; }
+    li a { display: block; padding: 10px 16px; color: inherit; text-decoration: none; border-bottom: 1px solid #eee; }
+    li a span { display: block; font-size: 12px; color: #777; }
+    li.active a { background: #FFF1AF; }
+    section { flex: 1; padding: 0 24px 24px; min-width: 0; }
+    h3 small { font-weight: normal; color: #777; }
+    .headers th { text-align: left; padding-right: 12px; color: #777; font-weight: normal; }
+    iframe { width: 100%; height: 520px; border: 1px solid #dee2e6; }
+    pre { white-space: pre-wrap; background: #f8f9fa; padding: 12px; border: 1px solid #dee2e6; }
+    .empty { padding: 24px; color: #777; }
+  </style>
+</head>
+<body>
+  <header>
+    <strong>Outbox（開發用）</strong>・${messages.length} 封
+    <p>${notice}</p>
+  </header>
+  <main>
+    <ul>${rows || '<li class="empty">尚無郵件。送出一次預約表單試試看。</li>'}</ul>
+    <section>${selected ? renderMessage(selected) : ''}</section>
+  </main>
+</body>
+</html>`;
+}
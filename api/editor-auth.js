@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import { editorRole, rolePermissions } from './editor-roles.js';
+import { httpError } from './http-helpers.js';
+import { createSignedToken, verifySignedToken } from './signed-links.js';
+
+// Staff sign-in. The Google ID token from the sign-in button is verified once, locally, against Google's
+// published JWKS keys (cached for as long as Google's Cache-Control allows), and exchanged for our own
+// session: a signed token in an HttpOnly cookie (see signed-links.js) that every editor route checks
+// without calling Google. EDITOR_DEV_TOKEN still works as a Bearer token (with the admin role) for
+// local use and tests. Who may sign in, and with which role, comes from editor-roles.js.
+
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const CLOCK_SKEW_MS = 60 * 1000;
+const JWKS_DEFAULT_MAX_AGE_MS = 60 * 60 * 1000;
+const JWKS_MIN_REFETCH_MS = 60 * 1000; // unknown key ids refetch at most once a minute
+
+const SESSION_COOKIE = 'editor_session';
+const SESSION_PURPOSE = 'editor-session';
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000; // idle timeout; the editor pages refresh while open
+const SESSION_MAX_AGE_MS = 12 * 60 * 60 * 1000; // sign in with Google again after this
+
+let jwksTransport = fetch;
+let jwksCache = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || req.headers.Authorization || '';
+  const match = String(header).match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : '';
+}
+
+function getCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0 && part.slice(0, index).trim() === name) return part.slice(index + 1).trim();
+  }
+  return '';
+}
+
+// Swaps the fetch-compatible transport used to download Google's keys (tests serve their own) and
+// empties the key cache. Pass nothing to go back to fetch.
+export function setJwksTransport(transport) {
+  jwksTransport = transport || fetch;
+  jwksCache = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+}
+
+async function loadGoogleKeys(now) {
+  const response = await jwksTransport(GOOGLE_JWKS_URL);
+  if (!response.ok) throw httpError('Google sign-in keys could not be loaded.', 502);
+  const { keys = [] } = await response.json();
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  jwksCache = {
+    keys: new Map(keys.filter(jwk => jwk.kid).map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])),
+    expiresAt: now + (maxAge ? Number(maxAge[1]) * 1000 : JWKS_DEFAULT_MAX_AGE_MS),
+    fetchedAt: now,
+  };
+}
+
+async function googleKey(kid, now) {
+  const stale = jwksCache.expiresAt <= now;
+  const unknown = !jwksCache.keys.has(kid) && now - jwksCache.fetchedAt >= JWKS_MIN_REFETCH_MS;
+  if (stale || unknown) await loadGoogleKeys(now); // Google rotates keys, so a new kid means refetch
+  return jwksCache.keys.get(kid);
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Checks a Google ID token's RS256 signature, issuer, audience and expiry and returns its claims
+export async function verifyGoogleIdToken(credential, now = Date.now()) {
+  const invalid = () => httpError('Google sign-in token could not be verified.', 401);
+  const [header, payload, signature] = String(credential || '').split('.');
+  if (!header || !payload || !signature) throw invalid();
+
+  let head;
+  let claims;
+  try {
+    head = decodeSegment(header);
+    claims = decodeSegment(payload);
+  } catch (e) {
+    throw invalid();
+  }
+  if (head.alg !== 'RS256' || !head.kid) throw invalid();
+
+  const key = await googleKey(head.kid, now);
+  const signed = key && crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), key, Buffer.from(signature, 'base64url'));
+  if (!signed) throw invalid();
+  if (!GOOGLE_ISSUERS.includes(claims.iss) || !(claims.exp * 1000 + CLOCK_SKEW_MS > now)) throw invalid();
+  if (claims.aud !== process.env.GOOGLE_CLIENT_ID) {
+    throw httpError('Google sign-in token was issued for a different app.', 401);
+  }
+  return claims;
+}
+
+function configurationError() {
+  if (!process.env.GOOGLE_CLIENT_ID) return 'Content editor auth is not configured. Add GOOGLE_CLIENT_ID in Vercel.';
+  if (!process.env.EDITOR_SESSION_SECRET) return 'Editor sessions are not configured. Add EDITOR_SESSION_SECRET in Vercel.';
+  return '';
+}
+
+function issueSession(email, signedInAt, now) {
+  const expiresAt = Math.min(now + SESSION_TTL_MS, signedInAt + SESSION_MAX_AGE_MS);
+  const token = createSignedToken(SESSION_PURPOSE, { email, at: signedInAt, until: expiresAt }, {
+    expiresAt,
+    secret: process.env.EDITOR_SESSION_SECRET,
+  });
+  return { token, email, provider: 'google', expiresAt };
+}
+
+function readSession(req, now) {
+  const token = getCookie(req, SESSION_COOKIE);
+  if (!token) return null;
+  try {
+    return verifySignedToken(SESSION_PURPOSE, token, { now, secret: process.env.EDITOR_SESSION_SECRET });
+  } catch (err) {
+    return { expired: err.status === 410 };
+  }
+}
+
+async function assertAllowed(email, now) {
+  const role = await editorRole(email, now);
+  if (!role) {
+    const err = httpError('This email is not on the editor allowlist: ' + email, 403);
+    err.email = email;
+    throw err;
+  }
+  return role;
+}
+
+// Exchanges a Google credential for a new session. Returns { token, email, provider, role, expiresAt }.
+export async function createEditorSession(credential, now = Date.now()) {
+  const error = configurationError();
+  if (error) throw httpError(error, 500);
+
+  const claims = await verifyGoogleIdToken(credential, now);
+  const email = String(claims.email || '').toLowerCase();
+  const emailVerified = String(claims.email_verified) === 'true' || claims.email_verified === true;
+  if (!email || !emailVerified) throw httpError('Please use a Google account with a verified email.', 403);
+  const role = await assertAllowed(email, now);
+  return { ...issueSession(email, now, now), role };
+}
+
+// Extends the request's session by another idle timeout, up to SESSION_MAX_AGE_MS after sign-in
+export async function refreshEditorSession(req, now = Date.now()) {
+  const error = configurationError();
+  if (error) throw httpError(error, 500);
+
+  const session = readSession(req, now);
+  if (!session || !session.email) throw httpError('Your editor session has expired. Please sign in again.', 401);
+  const role = await assertAllowed(session.email, now);
+  return { ...issueSession(session.email, session.at, now), role };
+}
+
+// Failures carry `rejected: true` when the request presented a credential that was refused (wrong dev
+// token, forged session, email not on the list), as opposed to simply not being signed in or expired.
+export async function verifyEditorAccess(req, now = Date.now()) {
+  const token = getBearerToken(req);
+
+  if (process.env.EDITOR_DEV_TOKEN && token === process.env.EDITOR_DEV_TOKEN) {
+    return { ok: true, email: 'local-dev-editor', provider: 'dev-token', role: 'admin', permissions: rolePermissions('admin'), expiresAt: null };
+  }
+
+  const error = configurationError();
+  if (error) return { ok: false, status: 500, error };
+
+  const session = readSession(req, now);
+  if (!session) {
+    const error = 'Please sign in with Google before saving.';
+    return token ? { ok: false, status: 401, error, provider: 'dev-token', rejected: true } : { ok: false, status: 401, error };
+  }
+  if (!session.email) {
+    if (session.expired) return { ok: false, status: 401, error: 'Your editor session has expired. Please sign in again.' };
+    return { ok: false, status: 401, error: 'Please sign in with Google before saving.', provider: 'google', rejected: true };
+  }
+  // Looked up on every request, so role changes and removals apply to open sessions
+  const role = await editorRole(session.email, now);
+  if (!role) {
+    return { ok: false, status: 403, error: 'This email is not on the editor allowlist: ' + session.email, email: session.email, provider: 'google', rejected: true };
+  }
+  return { ok: true, email: session.email, provider: 'google', role, permissions: rolePermissions(role), expiresAt: session.until };
+}
+
+function isSecureRequest(req) {
+  const proto = String(req.headers['x-forwarded-proto'] || '').split(',')[0].trim();
+  return Boolean(process.env.VERCEL) || proto === 'https' || Boolean(req.socket && req.socket.encrypted);
+}
+
+// Set-Cookie value for a session from createEditorSession/refreshEditorSession. The cookie is only sent
+// to /api, and SameSite=Lax keeps other sites from posting to the API with it.
+export function sessionCookie(req, session, now = Date.now()) {
+  const maxAge = Math.max(0, Math.floor((session.expiresAt - now) / 1000));
+  return `${SESSION_COOKIE}=${session.token}; Path=/api; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${isSecureRequest(req) ? '; Secure' : ''}`;
+}
+
+export function clearedSessionCookie(req) {
+  return `${SESSION_COOKIE}=; Path=/api; Max-Age=0; HttpOnly; SameSite=Lax${isSecureRequest(req) ? '; Secure' : ''}`;
+}
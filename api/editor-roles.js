@@ -0,0 +1,143 @@
+import YAML from 'yaml';
+import { diffSummary } from './audit-service.js';
+import { commitChanges } from './content-service.js';
+import { getContentStorage } from './content-storage.js';
+import { httpError } from './http-helpers.js';
+
+// Staff roles. The editor list lives in _data/editors.yml and is read and written through the content
+// storage (GitHub or the local working tree), so an admin's change applies on the next request instead
+// of after a redeploy. Emails in EDITOR_ALLOWED_EMAILS are always admins, so a deployment can never
+// lock everyone out of the list.
+
+const EDITORS_PATH = '_data/editors.yml';
+const CACHE_MS = 30 * 1000;
+const EDITORS_HEADER = [
+  '# Staff who can sign in to the content editor and lead manager. Managed from /editors.html by admins;',
+  '# roles are defined in api/editor-roles.js (admin, editor, contributor, lead-viewer).',
+  '',
+].join('\n');
+
+export const ROLE_PERMISSIONS = {
+  admin: ['content:read', 'content:draft', 'content:publish', 'leads:read', 'leads:write', 'editors:manage', 'audit:read'],
+  editor: ['content:read', 'content:draft', 'content:publish', 'leads:read', 'leads:write'],
+  contributor: ['content:read', 'content:draft'],
+  'lead-viewer': ['leads:read'],
+};
+
+let editorsCache = { storage: null, loadedAt: 0, entries: [] };
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function envAdmins() {
+  return (process.env.EDITOR_ALLOWED_EMAILS || '')
+    .split(',')
+    .map(normalizeEmail)
+    .filter(Boolean);
+}
+
+function parseEditors(text) {
+  const data = YAML.parse(text || '') || [];
+  if (!Array.isArray(data)) throw new Error(EDITORS_PATH + ' must contain a YAML list');
+  return data
+    .filter(entry => entry && entry.email && ROLE_PERMISSIONS[entry.role])
+    .map(entry => ({ email: normalizeEmail(entry.email), role: entry.role, name: entry.name ? String(entry.name) : '' }));
+}
+
+function serializeEditors(entries) {
+  const list = entries.map(entry => (entry.name ? { email: entry.email, name: entry.name, role: entry.role } : { email: entry.email, role: entry.role }));
+  return EDITORS_HEADER + (list.length ? YAML.stringify(list, { lineWidth: 0 }) : '[]\n');
+}
+
+async function loadEditors(storage, ref) {
+  const { content } = await storage.readFile(EDITORS_PATH, ref);
+  return parseEditors(content);
+}
+
+async function cachedEditors(now) {
+  const storage = getContentStorage();
+  if (editorsCache.storage !== storage || now - editorsCache.loadedAt >= CACHE_MS) {
+    editorsCache = { storage, loadedAt: now, entries: await loadEditors(storage) };
+  }
+  return editorsCache.entries;
+}
+
+export function rolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+// The role for a signed-in email, or null when the email is not on the list
+export async function editorRole(email, now = Date.now()) {
+  const normalized = normalizeEmail(email);
+  if (envAdmins().includes(normalized)) return 'admin';
+  const entry = (await cachedEditors(now)).find(item => item.email === normalized);
+  return entry ? entry.role : null;
+}
+
+export async function listEditors() {
+  const entries = await loadEditors(getContentStorage());
+  return {
+    editors: entries,
+    env_admins: envAdmins(),
+    roles: Object.keys(ROLE_PERMISSIONS).map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })),
+  };
+}
+
+function assertNotSelf(email, editorEmail) {
+  if (email === normalizeEmail(editorEmail)) {
+    throw httpError('You cannot change your own role. Ask another admin.', 400);
+  }
+}
+
+function assertAdminRemains(entries) {
+  if (!envAdmins().length && !entries.some(entry => entry.role === 'admin')) {
+    throw httpError('At least one admin must remain on the editor list.', 400);
+  }
+}
+
+async function writeEditors(editorEmail, describe, update) {
+  const storage = getContentStorage();
+  let entries = [];
+  await commitChanges(storage, null, async ref => {
+    entries = update(await loadEditors(storage, ref));
+    assertAdminRemains(entries);
+    return { message: `Content editor (${editorEmail}): ${describe}`, changes: [{ path: EDITORS_PATH, content: serializeEditors(entries) }] };
+  });
+  editorsCache = { storage: null, loadedAt: 0, entries: [] };
+  return entries;
+}
+
+// Adds an editor or changes their role
+export async function saveEditor(body, editorEmail) {
+  const email = normalizeEmail(body && body.email);
+  const role = String((body && body.role) || '');
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw httpError('Enter a valid email address.', 400);
+  if (!ROLE_PERMISSIONS[role]) throw httpError('Unknown role. Use ' + Object.keys(ROLE_PERMISSIONS).join(', ') + '.', 400);
+  assertNotSelf(email, editorEmail);
+
+  const name = body.name ? String(body.name).trim().slice(0, 60) : '';
+  let diff = [];
+  const entries = await writeEditors(editorEmail, `set ${email} to ${role}`, current => {
+    const index = current.findIndex(entry => entry.email === email);
+    const entry = { email, role, name: name || (index >= 0 ? current[index].name : '') };
+    diff = diffSummary(index >= 0 ? current[index] : null, entry, ['role', 'name']);
+    if (index >= 0) current[index] = entry;
+    else current.push(entry);
+    return current;
+  });
+  return { success: true, editors: entries, diff };
+}
+
+export async function removeEditor(email, editorEmail) {
+  const normalized = normalizeEmail(email);
+  assertNotSelf(normalized, editorEmail);
+  let diff = [];
+  const entries = await writeEditors(editorEmail, `remove ${normalized}`, current => {
+    const removed = current.find(entry => entry.email === normalized);
+    if (!removed) throw httpError('Editor not found: ' + normalized, 404);
+    diff = diffSummary(removed, null, ['role', 'name']);
+    return current.filter(entry => entry.email !== normalized);
+  });
+  return { success: true, editors: entries, diff };
+}
@@ -0,0 +1 @@
+export { editors as default } from './routes.js';
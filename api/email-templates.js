@@ -0,0 +1,126 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { escapeHtml, httpError } from './http-helpers.js';
+import { loadSiteData } from './site-data.js';
+
+// Email templates live in api/email-templates/ as <name>.subject.txt, <name>.txt and <name>.html, and
+// the text and HTML parts are wrapped in _layout.txt / _layout.html (logo, brand colours, social links).
+// Syntax:
+//   {{ path.to.value }}                  value from the data, HTML-escaped in the HTML part
+//   {{{ path.to.value }}}                value inserted without escaping (the layouts' {{{ content }}})
+//   {{#if path}} ... {{else}} ... {{/if}}  empty strings, empty arrays and missing values are false
+//   {{#each path}} ... {{/each}}           repeats for each item; the item's fields (and `this`) are in scope
+// Every template also sees `brand` (_data/brand.yml) and `site_url` (SITE_URL or the Vercel production URL).
+const TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'email-templates');
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#if|#each|else|\/if|\/each)?\s*([\w.]*)\s*\}\}/g;
+// Block tags on a line of their own leave no blank line behind
+const STANDALONE_TAG = /^[ \t]*(\{\{\s*(?:#if|#each|else|\/if|\/each)\b[^}]*\}\})[ \t]*\r?\n/gm;
+
+const cache = new Map();
+
+function parse(source, file) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const text = source.replace(STANDALONE_TAG, '$1');
+  let last = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(text))) {
+    const block = stack[stack.length - 1];
+    const target = block.inverse || block.children;
+    if (match.index > last) target.push(text.slice(last, match.index));
+    last = TAG.lastIndex;
+
+    const [, rawKey, keyword, key] = match;
+    if (rawKey) {
+      target.push({ type: 'raw', key: rawKey });
+    } else if (keyword === '#if' || keyword === '#each') {
+      const node = { type: keyword.slice(1), key, children: [], inverse: null };
+      target.push(node);
+      stack.push(node);
+    } else if (keyword === 'else') {
+      if (block.type !== 'if' || block.inverse) throw httpError(`${file}: unexpected {{else}}`, 500);
+      block.inverse = [];
+    } else if (keyword) {
+      if (block.type !== keyword.slice(1)) throw httpError(`${file}: unexpected {{${keyword}}}`, 500);
+      stack.pop();
+    } else {
+      target.push({ type: 'value', key });
+    }
+  }
+  if (stack.length > 1) throw httpError(`${file}: {{#${stack[stack.length - 1].type}}} is not closed`, 500);
+  if (last < text.length) root.children.push(text.slice(last));
+  return root.children;
+}
+
+function loadTemplate(file) {
+  if (!cache.has(file)) {
+    const pending = fs.readFile(path.join(TEMPLATE_DIR, file), 'utf8').then(source => parse(source, file));
+    pending.catch(() => cache.delete(file));
+    cache.set(file, pending);
+  }
+  return cache.get(file);
+}
+
+function lookup(scope, key) {
+  return key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), scope);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function render(nodes, scope, escape) {
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
+    const value = lookup(scope, node.key);
+    if (node.type === 'value') return value == null ? '' : escape(String(value));
+    if (node.type === 'raw') return value == null ? '' : String(value);
+    if (node.type === 'if') {
+      if (isTruthy(value)) return render(node.children, scope, escape);
+      return node.inverse ? render(node.inverse, scope, escape) : '';
+    }
+    return (Array.isArray(value) ? value : [])
+      .map(item => render(node.children, { ...scope, ...(item && typeof item === 'object' ? item : {}), this: item }, escape))
+      .join('');
+  }).join('');
+}
+
+// The public site origin without a trailing slash, or '' when neither variable is set
+export function siteUrl() {
+  const configured = process.env.SITE_URL ||
+    (process.env.VERCEL_PROJECT_PRODUCTION_URL ? `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}` : '');
+  return configured.replace(/\/$/, '');
+}
+
+export async function listEmailTemplates() {
+  const files = await fs.readdir(TEMPLATE_DIR);
+  return files
+    .filter(file => file.endsWith('.subject.txt'))
+    .map(file => file.slice(0, -'.subject.txt'.length))
+    .sort();
+}
+
+// Renders a named template to { subject, text, html }.
+export async function renderEmail(name, data = {}) {
+  if (!/^[a-z0-9-]+$/.test(name)) throw httpError(`Invalid email template name: ${name}`, 500);
+  const [subject, text, html, textLayout, htmlLayout, brand] = await Promise.all([
+    loadTemplate(`${name}.subject.txt`),
+    loadTemplate(`${name}.txt`),
+    loadTemplate(`${name}.html`),
+    loadTemplate('_layout.txt'),
+    loadTemplate('_layout.html'),
+    loadSiteData('brand'),
+  ]);
+
+  const scope = { brand, site_url: siteUrl(), ...data };
+  const raw = value => value;
+  const renderedSubject = render(subject, scope, raw).trim();
+  return {
+    subject: renderedSubject,
+    text: render(textLayout, { ...scope, subject: renderedSubject, content: render(text, scope, raw) }, raw),
+    html: render(htmlLayout, { ...scope, subject: renderedSubject, content: render(html, scope, escapeHtml) }, escapeHtml),
+  };
+}
@@ -0,0 +1,36 @@
+// Small helpers shared by the API modules: errors that defineRoute (see routes.js) turns into a JSON
+// response, HTML escaping, and dates in Taipei time, which is what the site and the staff read.
+
+export const TAIPEI_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+// An Error carrying the HTTP status to respond with and, for form errors, the field to highlight
+export function httpError(message, status, field) {
+  const err = new Error(message);
+  err.status = status;
+  if (field) err.field = field;
+  return err;
+}
+
+export function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text == null ? '' : text).replace(/[&<>"']/g, m => map[m]);
+}
+
+// The Taipei calendar day (YYYY-MM-DD) of epoch ms or an ISO string; '' when it does not parse
+export function taipeiDate(time) {
+  const ms = typeof time === 'number' ? time : Date.parse(time);
+  if (Number.isNaN(ms)) return '';
+  return new Date(ms + TAIPEI_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+// Formats epoch ms as an ISO string in Taipei time, e.g. 2026-03-02T14:00:00+08:00
+export function taipeiIso(time) {
+  const local = new Date(time + TAIPEI_OFFSET_MS);
+  return `${local.toISOString().slice(0, 19)}+08:00`;
+}
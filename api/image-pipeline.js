@@ -0,0 +1,161 @@
+import { httpError } from './http-helpers.js';
+import { loadSiteData } from './site-data.js';
+
+// Upload pipeline for post and testimonial photos. The upload's type comes from its magic bytes, not
+// the file name; it is decoded, turned upright from its EXIF orientation and re-encoded at each width
+// in _data/images.yml. Re-encoding drops all metadata, so phone photos lose their GPS position and
+// camera details before anything is committed. JPEG is always written as the plain <img> fallback.
+
+const MAX_UPLOAD_BYTES = 4 * 1024 * 1024;
+const EXTENSIONS = { avif: 'avif', webp: 'webp', jpeg: 'jpg' };
+const DEFAULT_QUALITY = { avif: 50, webp: 80, jpeg: 82 };
+const DEFAULT_MAX_INPUT_PIXELS = 40000000;
+
+// sharp is a large native module and only uploads need it, so it is loaded on the first upload instead
+// of at cold start by every function that imports routes.js
+let sharpModule = null;
+
+function loadSharp() {
+  if (!sharpModule) {
+    sharpModule = import('sharp').then(module => module.default);
+    sharpModule.catch(() => { sharpModule = null; });
+  }
+  return sharpModule;
+}
+
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function ascii(text) {
+  return Array.from(text, char => char.charCodeAt(0));
+}
+
+// 'jpeg', 'png', 'gif' or 'webp' from the file signature, or null for anything else
+export function detectImageType(buffer) {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'gif';
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'webp';
+  return null;
+}
+
+async function imageSettings(kind) {
+  const config = await loadSiteData('images');
+  const target = config[kind];
+  if (!target || !Array.isArray(target.widths) || !target.widths.length) {
+    throw new Error(`_data/images.yml has no widths for ${kind}`);
+  }
+  const formats = (config.formats || ['webp', 'jpeg']).filter(format => EXTENSIONS[format]);
+  return {
+    widths: target.widths.map(Number).filter(width => width > 0).sort((a, b) => a - b),
+    formats: formats.includes('jpeg') ? formats : formats.concat('jpeg'),
+    quality: { ...DEFAULT_QUALITY, ...(config.quality || {}) },
+    maxInputPixels: Number(config.max_input_pixels) || DEFAULT_MAX_INPUT_PIXELS,
+  };
+}
+
+// Decodes and re-encodes an editor upload ({ data: base64 }) for `kind` ('posts' or 'testimonials').
+// Returns null without an upload, otherwise { type, width, height, variants: [{ format, width, buffer }] }.
+// Widths wider than the original are replaced by the original width instead of upscaling.
+export async function processImage(imagePayload, kind) {
+  if (!imagePayload || !imagePayload.data) return null;
+  const buffer = Buffer.from(imagePayload.data, 'base64');
+  if (buffer.length > MAX_UPLOAD_BYTES) throw httpError('Image too large (max 4MB)', 400);
+  const type = detectImageType(buffer);
+  if (!type) throw httpError('Image type not allowed (use jpg, png, gif, webp)', 400);
+
+  const [settings, sharp] = await Promise.all([imageSettings(kind), loadSharp()]);
+  const source = sharp(buffer, { limitInputPixels: settings.maxInputPixels }).rotate();
+  let metadata;
+  try {
+    metadata = await source.metadata(); // of the input, before rotation
+    if (metadata.format !== type) throw new Error(`decoded as ${metadata.format}`);
+  } catch (err) {
+    throw httpError('Image could not be read. Please upload another photo.', 400);
+  }
+  if (metadata.width * metadata.height > settings.maxInputPixels) {
+    throw httpError(`Image too large (max ${Math.floor(settings.maxInputPixels / 1000000)} megapixels)`, 400);
+  }
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  const widths = Array.from(new Set(settings.widths.map(target => Math.min(target, width))));
+
+  const variants = [];
+  try {
+    for (const format of settings.formats) {
+      for (const target of widths) {
+        let pipeline = source.clone().resize({ width: target, withoutEnlargement: true });
+        if (format === 'jpeg') pipeline = pipeline.flatten({ background: '#ffffff' });
+        const output = await pipeline.toFormat(format, { quality: Number(settings.quality[format]) }).toBuffer();
+        variants.push({ format, width: target, buffer: output });
+      }
+    }
+  } catch (err) {
+    console.error('Image processing error:', err);
+    throw httpError('Image could not be processed. Please upload another photo.', 400);
+  }
+  return { type, width, height, variants };
+}
+
+// Files for a processed upload named `<basePath>.<width>w.<ext>`. Returns the widest JPEG as `image`
+// (the <img> src and share image), a `srcset` string per format for the site templates, and `files`
+// in the { path, content } shape commitChanges takes.
+export function imageFiles(basePath, processed) {
+  const files = [];
+  const srcset = {};
+  let image = '';
+  for (const variant of processed.variants) {
+    const filePath = `${basePath}.${variant.width}w.${EXTENSIONS[variant.format]}`;
+    files.push({ path: filePath, content: variant.buffer });
+    const candidate = `/${filePath} ${variant.width}w`;
+    srcset[variant.format] = srcset[variant.format] ? `${srcset[variant.format]}, ${candidate}` : candidate;
+    if (variant.format === 'jpeg') image = '/' + filePath;
+  }
+  return { image, srcset, files };
+}
+
+// Repo paths referenced by an `image` and its `image_srcset` (for deleting an item's files)
+export function imagePaths(image, srcset) {
+  const paths = image ? [String(image).replace(/^\//, '')] : [];
+  for (const value of Object.values(srcset || {})) {
+    for (const candidate of String(value).split(',')) {
+      const src = candidate.trim().split(/\s+/)[0];
+      if (src) paths.push(src.replace(/^\//, ''));
+    }
+  }
+  return Array.from(new Set(paths));
+}
+
+const VARIANT_NAME = /^(.+)\.(\d+)w\.([a-z]+)$/i;
+const IMAGE_NAME = /\.(jpe?g|png|gif|webp|avif|svg)$/i;
+const SRCSET_ORDER = ['avif', 'webp', 'jpeg'];
+
+// Groups a directory listing ([{ name, path, sha }]) into images. Pipeline variants `<base>.<width>w.<ext>`
+// become one image `id` = `<dir>/<base>` with the widest JPEG as `image` and a `srcset` per format, the
+// same values imageFiles() writes. Any other image file (older uploads, photos added by hand) stands alone.
+export function groupImageFiles(files) {
+  const groups = new Map();
+  for (const file of files.filter(entry => IMAGE_NAME.test(entry.name))) {
+    const match = file.name.match(VARIANT_NAME);
+    const format = match && SRCSET_ORDER.find(name => EXTENSIONS[name] === match[3].toLowerCase());
+    const id = format ? file.path.slice(0, -file.name.length) + match[1] : file.path;
+    if (!groups.has(id)) groups.set(id, { id, files: [], variants: [] });
+    groups.get(id).files.push(file);
+    if (format) groups.get(id).variants.push({ format, width: Number(match[2]), path: file.path });
+  }
+
+  return Array.from(groups.values()).map(({ id, files: groupFiles, variants }) => {
+    if (!variants.length) return { id, image: '/' + id, srcset: null, files: groupFiles };
+    variants.sort((a, b) => SRCSET_ORDER.indexOf(a.format) - SRCSET_ORDER.indexOf(b.format) || a.width - b.width);
+    const srcset = {};
+    let image = '/' + variants[variants.length - 1].path;
+    for (const variant of variants) {
+      const candidate = `/${variant.path} ${variant.width}w`;
+      srcset[variant.format] = srcset[variant.format] ? `${srcset[variant.format]}, ${candidate}` : candidate;
+      if (variant.format === 'jpeg') image = '/' + variant.path;
+    }
+    return { id, image, srcset, files: groupFiles };
+  });
+}
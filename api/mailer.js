@@ -0,0 +1,165 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { httpError } from './http-helpers.js';
+
+// Every mail transport exposes one async method:
+//   send({ from, to, subject, text, html, replyTo, attachments }) -> { id }
+// where attachments are [{ filename, content, contentType }] with string content (calendar invites),
+// and throws with `status` set when the message cannot be delivered. Resend is used in production, SMTP
+// for any other provider, and the outbox writes messages to disk so local runs never send real mail.
+
+let activeTransport = null;
+
+function mailError(message, status, permanent = false) {
+  const err = httpError(message, status);
+  if (permanent) err.permanent = true; // not worth retrying until the settings are fixed
+  return err;
+}
+
+export function createResendTransport({ apiKey }) {
+  return {
+    name: 'resend',
+    async send({ from, to, subject, text, html, replyTo, attachments }) {
+      const response = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`,
+        },
+        body: JSON.stringify({
+          from,
+          to: [to],
+          subject,
+          text,
+          html: html || undefined,
+          reply_to: replyTo || undefined,
+          attachments: attachments && attachments.length
+            ? attachments.map(file => ({
+              filename: file.filename,
+              content: Buffer.from(file.content).toString('base64'),
+              content_type: file.contentType,
+            }))
+            : undefined,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        console.error('Resend API error:', data);
+        throw mailError(data.message || 'Failed to send email', response.status);
+      }
+      return { id: data.id };
+    },
+  };
+}
+
+export function createSmtpTransport({ host, port = 587, secure = false, user, pass }) {
+  let transporter = null;
+
+  return {
+    name: 'smtp',
+    async send({ from, to, subject, text, html, replyTo, attachments }) {
+      if (!transporter) {
+        const { default: nodemailer } = await import('nodemailer');
+        transporter = nodemailer.createTransport({
+          host,
+          port: Number(port),
+          secure,
+          auth: user ? { user, pass } : undefined,
+        });
+      }
+      try {
+        const info = await transporter.sendMail({
+          from,
+          to,
+          subject,
+          text,
+          html: html || undefined,
+          replyTo: replyTo || undefined,
+          attachments: (attachments || []).map(file => ({ filename: file.filename, content: file.content, contentType: file.contentType })),
+        });
+        return { id: info.messageId };
+      } catch (err) {
+        console.error('SMTP error:', err);
+        throw mailError(err.message || 'Failed to send email', err.responseCode >= 400 && err.responseCode < 500 ? 400 : 502);
+      }
+    },
+  };
+}
+
+// Writes each message to `dir` as <time>-<id>.json. The /api/dev/outbox page lists them.
+export function createOutboxTransport({ dir }) {
+  return {
+    name: 'outbox',
+    dir,
+    async send(message) {
+      const id = crypto.randomUUID();
+      const createdAt = new Date().toISOString();
+      const entry = { id, created_at: createdAt, ...message };
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${createdAt.replace(/[:.]/g, '-')}-${id}.json`), JSON.stringify(entry, null, 2) + '\n', 'utf8');
+      console.log(`📬 Email to ${message.to} saved to outbox: ${message.subject}`);
+      return { id };
+    },
+  };
+}
+
+export function defaultOutboxDir() {
+  return process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), '.data', 'outbox');
+}
+
+export async function listOutbox(dir = defaultOutboxDir()) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const messages = await Promise.all(files
+    .filter(file => file.endsWith('.json'))
+    .map(async file => JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))));
+  return messages.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+function createConfiguredTransport() {
+  const kind = (process.env.EMAIL_TRANSPORT || '').toLowerCase();
+
+  if (kind === 'outbox') return createOutboxTransport({ dir: defaultOutboxDir() });
+  if (kind === 'smtp' || (!kind && !process.env.RESEND_API_KEY && process.env.SMTP_HOST)) {
+    if (!process.env.SMTP_HOST) throw mailError('Email service not configured. Add SMTP_HOST.', 500, true);
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    });
+  }
+  if (kind === 'resend' || (!kind && process.env.RESEND_API_KEY)) {
+    if (!process.env.RESEND_API_KEY) {
+      console.error('RESEND_API_KEY is not set');
+      throw mailError('Email service not configured', 500, true);
+    }
+    return createResendTransport({ apiKey: process.env.RESEND_API_KEY });
+  }
+  if (!kind && !process.env.VERCEL) return createOutboxTransport({ dir: defaultOutboxDir() });
+  throw mailError('Email service not configured', 500, true);
+}
+
+export function getMailTransport() {
+  if (!activeTransport) activeTransport = createConfiguredTransport();
+  return activeTransport;
+}
+
+export function setMailTransport(transport) {
+  activeTransport = transport;
+}
+
+export async function sendMail({ to, subject, text, html, replyTo, attachments }) {
+  // For Resend free tier, you can use: onboarding@resend.dev (for testing)
+  // For production, use your verified domain: noreply@yourdomain.com
+  const from = process.env.EMAIL_FROM || process.env.RESEND_FROM_EMAIL || 'onboarding@resend.dev';
+  return getMailTransport().send({ from, to, subject, text, html, replyTo, attachments });
+}
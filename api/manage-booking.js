@@ -0,0 +1 @@
+export { manageBooking as default } from './routes.js';
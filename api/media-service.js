@@ -0,0 +1,167 @@
+import YAML from 'yaml';
+import { diffSummary } from './audit-service.js';
+import { commitChanges, DEFAULT_TESTIMONIAL_IMAGE, IMAGE_DIRS, loadTestimonials, readPosts } from './content-service.js';
+import { getContentStorage } from './content-storage.js';
+import { httpError } from './http-helpers.js';
+import { groupImageFiles } from './image-pipeline.js';
+
+// Media library: the images in IMAGE_DIRS, grouped per upload (see groupImageFiles), with the posts,
+// testimonials and site templates that mention any of their files. Alt text is kept per image in
+// _data/media.yml, keyed by the image src, and _includes/responsive-image.html prefers it over the
+// alt a template passes.
+
+const MEDIA_PATH = '_data/media.yml';
+const MAX_ALT_LENGTH = 200;
+const MEDIA_HEADER = [
+  '# Alt text for images in the media library, keyed by the image src. Managed from the 媒體庫 tab of',
+  '# /content-editor.html; _includes/responsive-image.html uses it for post and testimonial photos.',
+  '',
+].join('\n');
+// Templates and data files that may show an uploaded image directly
+const SITE_SOURCE_DIRS = ['_pages', '_layouts', '_includes', '_data', 'css'];
+const SITE_SOURCE_FILES = ['index.html'];
+const SITE_SOURCE_PATTERN = /\.(html|md|css|scss|ya?ml)$/;
+const SKIPPED_SOURCES = ['_data/testimonials.yml', MEDIA_PATH];
+
+function parseMedia(text) {
+  const data = YAML.parse(text || '') || {};
+  if (typeof data !== 'object' || Array.isArray(data)) throw new Error(MEDIA_PATH + ' must contain a YAML map');
+  return data;
+}
+
+function serializeMedia(entries) {
+  const keys = Object.keys(entries).sort();
+  if (!keys.length) return MEDIA_HEADER + '{}\n';
+  const sorted = {};
+  for (const key of keys) sorted[key] = entries[key];
+  return MEDIA_HEADER + YAML.stringify(sorted, { lineWidth: 0 });
+}
+
+async function loadMedia(storage, ref) {
+  const { content } = await storage.readFile(MEDIA_PATH, ref);
+  return parseMedia(content);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Everything that can show an image, as { type, label, path | id, text } to search for file paths
+async function loadReferenceSources(storage, ref) {
+  const posts = (await readPosts(storage, ref)).map(post => ({
+    type: 'post',
+    label: post.title || post.slug,
+    path: post.path,
+    text: [post.image, ...Object.values(post.image_srcset || {}), post.content].join('\n'),
+  }));
+  const testimonials = (await loadTestimonials(storage, ref)).entries.map(entry => ({
+    type: 'testimonial',
+    label: entry.name,
+    id: entry.id,
+    text: [entry.image, ...Object.values(entry.image_srcset || {}), entry.content].join('\n'),
+  }));
+
+  const listings = await Promise.all(['', ...SITE_SOURCE_DIRS].map(dir => storage.listDirectory(dir, ref)));
+  const files = listings[0].filter(file => SITE_SOURCE_FILES.includes(file.path)).concat(...listings.slice(1))
+    .filter(file => SITE_SOURCE_PATTERN.test(file.path) && !SKIPPED_SOURCES.includes(file.path));
+  const pages = (await storage.readFiles(files)).map(file => ({ type: 'page', label: file.path, path: file.path, text: file.content }));
+
+  return posts.concat(testimonials, pages);
+}
+
+function imageReferences(image, sources) {
+  const patterns = image.files.map(file => new RegExp(escapeRegExp(file.path) + '(?![\\w.-])'));
+  const references = sources
+    .filter(source => patterns.some(pattern => pattern.test(source.text)))
+    .map(({ text, ...reference }) => reference);
+  // saveTestimonial falls back to this photo, so it stays even when no entry shows it
+  if (image.image === DEFAULT_TESTIMONIAL_IMAGE) references.push({ type: 'default', label: 'Testimonial placeholder' });
+  return references;
+}
+
+async function loadLibrary(storage, ref) {
+  const [listings, sources, media] = await Promise.all([
+    Promise.all(IMAGE_DIRS.map(dir => storage.listDirectory(dir, ref))),
+    loadReferenceSources(storage, ref),
+    loadMedia(storage, ref),
+  ]);
+  const images = IMAGE_DIRS.flatMap((dir, index) => groupImageFiles(listings[index]).map(image => {
+    const smallest = image.srcset && (image.srcset.jpeg || Object.values(image.srcset)[0]);
+    return {
+      id: image.id,
+      dir,
+      image: image.image,
+      thumbnail: smallest ? smallest.split(' ')[0] : image.image,
+      srcset: image.srcset,
+      files: image.files.map(file => ({ path: file.path, sha: file.sha })),
+      alt: (media[image.image] && media[image.image].alt) || '',
+      references: imageReferences(image, sources),
+    };
+  }));
+  return { images: images.sort((a, b) => a.dir.localeCompare(b.dir) || a.id.localeCompare(b.id)), media };
+}
+
+function findImage(images, key, field) {
+  const image = images.find(item => item[field] === key);
+  if (!image) throw httpError('Image not found: ' + key, 404);
+  return image;
+}
+
+export async function listMedia() {
+  const { images } = await loadLibrary(getContentStorage());
+  return images;
+}
+
+// Sets or (with an empty alt) clears the alt text for an image src
+export async function setMediaAlt(body, editorEmail = 'editor') {
+  const storage = getContentStorage();
+  const src = String((body && body.image) || '').trim();
+  const alt = String((body && body.alt) || '').replace(/\s+/g, ' ').trim();
+  if (!src) throw httpError('Missing image', 400);
+  if (alt.length > MAX_ALT_LENGTH) throw httpError(`Alt text is too long (max ${MAX_ALT_LENGTH} characters)`, 400);
+  let diff = [];
+
+  await commitChanges(storage, null, async ref => {
+    const listings = await Promise.all(IMAGE_DIRS.map(dir => storage.listDirectory(dir, ref)));
+    findImage(listings.flatMap(groupImageFiles), src, 'image');
+    const media = await loadMedia(storage, ref);
+    const before = (media[src] && media[src].alt) || '';
+    diff = diffSummary({ alt: before }, { alt });
+    if (alt) media[src] = { ...media[src], alt };
+    else delete media[src];
+    return {
+      message: `Content editor (${editorEmail}): set alt text for ${src}`,
+      changes: diff.length ? [{ path: MEDIA_PATH, content: serializeMedia(media) }] : [],
+    };
+  });
+
+  return { success: true, image: src, alt, diff, message: '替代文字已儲存，將於下次建站後更新。' };
+}
+
+// Deletes every file of an image nothing refers to; a 409 lists who still shows it
+export async function deleteMedia(id, editorEmail = 'editor') {
+  const storage = getContentStorage();
+  let removed = null;
+
+  await commitChanges(storage, null, async ref => {
+    const { images, media } = await loadLibrary(storage, ref);
+    removed = findImage(images, String(id || ''), 'id');
+    if (removed.references.length) {
+      throw httpError('Image is still in use: ' + removed.references.map(reference => reference.label).join(', '), 409);
+    }
+    const changes = removed.files.map(file => ({ path: file.path, delete: true }));
+    if (media[removed.image]) {
+      delete media[removed.image];
+      changes.push({ path: MEDIA_PATH, content: serializeMedia(media) });
+    }
+    return { message: `Content editor (${editorEmail}): delete image ${removed.id}`, changes };
+  });
+
+  return {
+    success: true,
+    id: removed.id,
+    removed: removed.files.map(file => file.path),
+    diff: diffSummary({ files: removed.files.map(file => file.path).join(', '), alt: removed.alt }, null),
+    message: '圖片已刪除。',
+  };
+}
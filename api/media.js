@@ -0,0 +1 @@
+export { media as default } from './routes.js';
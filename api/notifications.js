@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import { renderEmail } from './email-templates.js';
+import { httpError } from './http-helpers.js';
+import { sendMail } from './mailer.js';
+import { loadSiteData } from './site-data.js';
+
+// Fans a notification event out to every enabled channel (_data/notifications.yml). A channel is
+//   { name, send(message) }   where message = { type, subject, text, html, data }
+// and send() throws on failure, with `status` set for HTTP errors. Channels use a fetch-compatible
+// transport, so tests can swap in createStubTransport() instead of calling LINE or webhooks.
+
+const EVENT_TEMPLATES = {
+  'booking.created': 'new-booking',
+  'booking.rescheduled': 'booking-changed',
+  'booking.cancelled': 'booking-changed',
+};
+
+const LINE_PUSH_URL = 'https://api.line.me/v2/bot/message/push';
+const LINE_TEXT_LIMIT = 5000;
+
+let activeChannels = null;
+
+// The recipients a channel has not reached yet with `message`, each with a retry key, so a retry only goes
+// to the ones that failed. LINE pushes send the key as X-Line-Retry-Key: LINE answers 409 instead of
+// delivering again when an earlier attempt got through but its response was lost.
+function pendingFor(progress, message, recipients) {
+  if (!progress.has(message)) progress.set(message, new Map(recipients.map(recipient => [recipient, crypto.randomUUID()])));
+  return progress.get(message);
+}
+
+// Missing settings will not fix themselves, so these are never retried
+function configError(message) {
+  const err = httpError(message, 500);
+  err.permanent = true;
+  return err;
+}
+
+async function postJson(transport, url, body, headers = {}) {
+  const response = await transport(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw httpError(`${url} responded ${response.status} ${detail}`.trim(), response.status);
+  }
+  return response;
+}
+
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+export function createEmailChannel({ to, send = sendMail }) {
+  return {
+    name: 'email',
+    async send(message) {
+      if (!to) throw configError('Email channel has no recipient');
+      const replyTo = message.data && message.data.booking ? message.data.booking.email : undefined;
+      await send({ to, subject: message.subject, text: message.text, html: message.html, replyTo: replyTo || undefined });
+    },
+  };
+}
+
+export function createLineChannel({ token, to, transport = fetch }) {
+  const recipients = Array.isArray(to) ? to : splitList(to);
+  const progress = new WeakMap();
+  return {
+    name: 'line',
+    async send(message) {
+      if (!token || recipients.length === 0) {
+        throw configError('LINE channel not configured. Add LINE_CHANNEL_ACCESS_TOKEN and LINE_NOTIFY_TO.');
+      }
+      const text = message.text.length > LINE_TEXT_LIMIT ? message.text.slice(0, LINE_TEXT_LIMIT - 1) + '…' : message.text;
+      const pending = pendingFor(progress, message, recipients);
+      for (const [recipient, retryKey] of pending) {
+        try {
+          await postJson(transport, LINE_PUSH_URL, { to: recipient, messages: [{ type: 'text', text }] }, {
+            Authorization: `Bearer ${token}`,
+            'X-Line-Retry-Key': retryKey,
+          });
+        } catch (err) {
+          if (err.status !== 409) throw err; // 409: already accepted under this retry key
+        }
+        pending.delete(recipient);
+      }
+    },
+  };
+}
+
+export function createWebhookChannel({ urls, format = 'slack', transport = fetch }) {
+  const targets = Array.isArray(urls) ? urls : splitList(urls);
+  const progress = new WeakMap();
+  return {
+    name: 'webhook',
+    async send(message) {
+      if (targets.length === 0) throw configError('Webhook channel not configured. Add NOTIFY_WEBHOOK_URLS.');
+      const body = format === 'json'
+        ? { event: message.type, subject: message.subject, text: message.text, data: message.data }
+        : { text: message.text };
+      const pending = pendingFor(progress, message, targets);
+      for (const url of pending.keys()) {
+        await postJson(transport, url, body);
+        pending.delete(url);
+      }
+    },
+  };
+}
+
+// fetch-compatible transport that records requests instead of sending them. The first `failures`
+// requests (or those `failWhen(request, index)` picks) answer with `status`, the rest with 200.
+export function createStubTransport({ failures = 0, status = 500, failWhen = null } = {}) {
+  const requests = [];
+  async function transport(url, init = {}) {
+    const request = { url, method: init.method, headers: init.headers, body: init.body ? JSON.parse(init.body) : null };
+    requests.push(request);
+    const failed = failWhen ? failWhen(request, requests.length - 1) : requests.length <= failures;
+    return {
+      ok: !failed,
+      status: failed ? status : 200,
+      json: async () => ({}),
+      text: async () => (failed ? 'stub failure' : ''),
+    };
+  }
+  transport.requests = requests;
+  return transport;
+}
+
+async function createConfiguredChannels() {
+  const [config, brand] = await Promise.all([loadSiteData('notifications'), loadSiteData('brand')]);
+  const settings = config.channels || {};
+  const channels = [];
+
+  if (settings.email && settings.email.enabled) {
+    channels.push(createEmailChannel({ to: process.env.NOTIFY_EMAIL_TO || brand.social.email.address }));
+  }
+  if (settings.line && settings.line.enabled) {
+    channels.push(createLineChannel({ token: process.env.LINE_CHANNEL_ACCESS_TOKEN, to: process.env.LINE_NOTIFY_TO }));
+  }
+  if (settings.webhook && settings.webhook.enabled) {
+    channels.push(createWebhookChannel({ urls: process.env.NOTIFY_WEBHOOK_URLS, format: settings.webhook.format }));
+  }
+  return channels;
+}
+
+export async function getNotificationChannels() {
+  if (!activeChannels) activeChannels = await createConfiguredChannels();
+  return activeChannels;
+}
+
+export function setNotificationChannels(channels) {
+  activeChannels = channels;
+}
+
+function isRetryable(err) {
+  if (err.permanent) return false;
+  return !err.status || err.status === 429 || err.status >= 500;
+}
+
+async function sendWithRetry(channel, message, { attempts, backoffMs, sleep }) {
+  let attempt = 0;
+  while (true) {
+    attempt += 1;
+    try {
+      await channel.send(message);
+      return { channel: channel.name, ok: true, attempts: attempt };
+    } catch (err) {
+      console.error(`Notification channel ${channel.name} failed (attempt ${attempt}/${attempts}):`, err.message);
+      if (!isRetryable(err) || attempt >= attempts) {
+        return { channel: channel.name, ok: false, attempts: attempt, error: err.message };
+      }
+      await sleep(backoffMs * 2 ** (attempt - 1));
+    }
+  }
+}
+
+// Sends the event to every channel in parallel and reports each channel's outcome:
+//   [{ channel, ok, attempts, error? }]
+export async function dispatchNotification(type, data, options = {}) {
+  const templateName = EVENT_TEMPLATES[type];
+  if (!templateName) throw httpError(`Unknown notification event: ${type}`, 500);
+
+  const config = await loadSiteData('notifications');
+  const retry = config.retry || {};
+  const channels = options.channels || await getNotificationChannels();
+  const rendered = await renderEmail(templateName, data);
+  const message = { type, ...rendered, data };
+  const retryOptions = {
+    attempts: Math.max(1, Number(retry.attempts) || 1),
+    backoffMs: Number(retry.backoff_ms) || 0,
+    sleep: options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms))),
+  };
+
+  return Promise.all(channels.map(channel => sendWithRetry(channel, message, retryOptions)));
+}
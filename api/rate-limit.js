@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { httpError } from './http-helpers.js';
+
+// Rate-limit stores count hits per key in fixed windows and expose one async method:
+//   hit(key, windowMs) -> { count, resetAt }   (count includes this hit; resetAt is epoch ms)
+// The in-memory store is used locally; deployments with Vercel KV / Upstash share counts across instances.
+// On Vercel each function instance has its own memory, so without KV the limits only hold per instance.
+
+let activeStore = null;
+
+export function createMemoryRateLimitStore() {
+  const windows = new Map();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      // Drop expired windows now and then so the map does not grow forever
+      if (windows.size > 10000) {
+        for (const [k, value] of windows) if (value.resetAt <= now) windows.delete(k);
+      }
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+}
+
+export function createKvRateLimitStore({ url, token, prefix = 'duo' }) {
+  async function command(args) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || data.error) throw new Error(`Rate limit store: ${res.status} ${data.error || ''}`.trim());
+    return data.result;
+  }
+
+  return {
+    async hit(key, windowMs) {
+      const fullKey = `${prefix}:ratelimit:${key}`;
+      const count = await command(['INCR', fullKey]);
+      if (count === 1) await command(['PEXPIRE', fullKey, windowMs]);
+      let ttl = await command(['PTTL', fullKey]);
+      if (ttl < 0) {
+        await command(['PEXPIRE', fullKey, windowMs]);
+        ttl = windowMs;
+      }
+      return { count, resetAt: Date.now() + ttl };
+    },
+  };
+}
+
+function createConfiguredStore() {
+  const kind = (process.env.RATE_LIMIT_STORE || '').toLowerCase();
+  const kvUrl = process.env.KV_REST_API_URL;
+  const kvToken = process.env.KV_REST_API_TOKEN;
+
+  if (kind === 'memory') return createMemoryRateLimitStore();
+  if (kind === 'kv' || (!kind && kvUrl && kvToken)) {
+    if (!kvUrl || !kvToken) {
+      throw new Error('Rate limit store not configured. Add KV_REST_API_URL and KV_REST_API_TOKEN in Vercel.');
+    }
+    return createKvRateLimitStore({ url: kvUrl, token: kvToken, prefix: process.env.KV_PREFIX || 'duo' });
+  }
+  if (process.env.VERCEL) {
+    console.warn('Rate limits are counted per function instance. Add KV_REST_API_URL and KV_REST_API_TOKEN in Vercel to share them.');
+  }
+  return createMemoryRateLimitStore();
+}
+
+export function getRateLimitStore() {
+  if (!activeStore) activeStore = createConfiguredStore();
+  return activeStore;
+}
+
+export function setRateLimitStore(store) {
+  activeStore = store;
+}
+
+// Each proxy in front of the API appends the address it saw to X-Forwarded-For; anything to the left of
+// those entries comes from the client and can be forged. TRUSTED_PROXY_HOPS says how many proxies to
+// trust: 1 on Vercel (its edge appends the client address), 0 elsewhere, which uses the socket address.
+function trustedProxyHops() {
+  const configured = parseInt(process.env.TRUSTED_PROXY_HOPS, 10);
+  if (configured >= 0) return configured;
+  return process.env.VERCEL ? 1 : 0;
+}
+
+export function clientIp(req) {
+  const hops = trustedProxyHops();
+  const forwarded = String((req.headers && req.headers['x-forwarded-for']) || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+  if (hops && forwarded.length) return forwarded[Math.max(0, forwarded.length - hops)];
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// Counts one hit for `id` under `name` and throws a 429 once the limit for the window is exceeded.
+// Ids are hashed so phone numbers and IPs are not stored in the clear.
+export async function enforceRateLimit(name, id, { limit, windowMs }) {
+  const digest = crypto.createHash('sha256').update(String(id)).digest('hex').slice(0, 32);
+  const { count, resetAt } = await getRateLimitStore().hit(`${name}:${digest}`, windowMs);
+  if (count > limit) {
+    const err = httpError('提交次數過多，請稍後再試或直接透過 Line 聯絡我們。', 429);
+    err.retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+    throw err;
+  }
+}
@@ -0,0 +1,666 @@
+// Shared route layer: every API handler is defined here once. The Vercel functions in api/ re-export
+// these handlers, and local-api-server.js mounts the same `routes` table in Express.
+import { diffSummary, listAuditLog, recordAudit } from './audit-service.js';
+import { listFreeSlots } from './availability-service.js';
+import { detectBookingBot } from './booking-schema.js';
+import {
+  cancelBookingSession,
+  cancelFromLink,
+  claimWaitlistOffer,
+  getManagedBooking,
+  listBookings,
+  listCalendarFeeds,
+  rescheduleBooking,
+  rescheduleFromLink,
+  submitBooking,
+  trainerCalendarFeed,
+  updateBookingStatus,
+} from './booking-service.js';
+import { getContentStorageName } from './content-storage.js';
+import { renderOutboxPage } from './dev-outbox.js';
+import {
+  clearedSessionCookie,
+  createEditorSession,
+  refreshEditorSession,
+  sessionCookie,
+  verifyEditorAccess,
+} from './editor-auth.js';
+import { listEditors, removeEditor, rolePermissions, saveEditor } from './editor-roles.js';
+import { escapeHtml, httpError } from './http-helpers.js';
+import { getMailTransport, listOutbox, sendMail } from './mailer.js';
+import { deleteMedia, listMedia, setMediaAlt } from './media-service.js';
+import { clientIp, enforceRateLimit } from './rate-limit.js';
+import { loadSiteData } from './site-data.js';
+import {
+  deletePost,
+  deleteTestimonial,
+  discardDraft,
+  getPost,
+  listDrafts,
+  listPosts,
+  listTestimonials,
+  publishDraft,
+  publishScheduledPosts,
+  reorderTestimonials,
+  savePost,
+  saveTestimonial,
+} from './content-service.js';
+import {
+  declineWaitlistOffer,
+  expireWaitlistOffers,
+  getWaitlistOffer,
+  joinWaitlist,
+  listWaitlistDepth,
+  waitlistOfferView,
+} from './waitlist-service.js';
+
+const SMALL_BODY_LIMIT = '10kb';
+const CONTENT_BODY_LIMIT = '8mb'; // Content saves carry base64 images (max 4MB each)
+
+const BOOKING_IP_LIMIT = { limit: 5, windowMs: 10 * 60 * 1000 };
+const BOOKING_PHONE_LIMIT = { limit: 3, windowMs: 24 * 60 * 60 * 1000 };
+const BOOKING_EMAIL_LIMIT = { limit: 3, windowMs: 24 * 60 * 60 * 1000 };
+const SEND_EMAIL_IP_LIMIT = { limit: 5, windowMs: 10 * 60 * 1000 };
+const MANAGE_BOOKING_IP_LIMIT = { limit: 10, windowMs: 10 * 60 * 1000 };
+const WAITLIST_IP_LIMIT = { limit: 10, windowMs: 10 * 60 * 1000 };
+const BOOKING_SUCCESS_MESSAGE = '預約提交成功！我們會盡快與您聯絡。';
+const BOOKING_CONFIRMED_MESSAGE = '預約提交成功！確認信已寄到您的信箱，我們會盡快與您聯絡。';
+
+const FILE_BODY = Symbol('fileBody');
+
+// A handle() result sent as-is with its own content type instead of JSON
+function fileResponse(contentType, body, headers = {}) {
+  return { [FILE_BODY]: body, contentType, headers };
+}
+
+// Browsers may call the API from ALLOWED_ORIGINS (comma separated), from the site's own origin, and
+// from localhost when running outside Vercel.
+function isAllowedOrigin(req, origin) {
+  const allowed = (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(value => value.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  if (allowed.includes(origin)) return true;
+
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (e) {
+    return false;
+  }
+  if (url.host === req.headers.host) return true;
+  return !process.env.VERCEL && ['localhost', '127.0.0.1'].includes(url.hostname);
+}
+
+// Wraps a route with the CORS headers, preflight, method check, JSON body parsing, optional editor
+// sign-in and error responses every endpoint shares. handle() returns the JSON body for a 200 response,
+// a string to answer with an HTML page, or a fileResponse() for any other content type. `credentials`
+// lets allowed origins send the editor session cookie; editor routes always allow it. `permission`
+// (see ROLE_PERMISSIONS in editor-roles.js) is what the editor's role must grant, or a function of
+// { req, body, query } returning it when it depends on the request. `audit` turns a successful call
+// into an audit log entry: a function of { req, body, query, editor, result } returning
+// { action, target, diff, detail } (or null to skip). Refused editor credentials and permissions are
+// always logged.
+function defineRoute({ methods, editorAuth = false, permission = null, credentials = editorAuth, cors = true, audit = null, errorMessage, handle }) {
+  return async function handler(req, res) {
+    if (cors) {
+      const origin = req.headers.origin;
+      if (origin) {
+        if (!isAllowedOrigin(req, origin)) return res.status(403).json({ error: 'Origin not allowed' });
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+        if (credentials) res.setHeader('Access-Control-Allow-Credentials', 'true');
+      }
+      res.setHeader('Access-Control-Allow-Methods', methods.concat('OPTIONS').join(', '));
+      res.setHeader('Access-Control-Allow-Headers', credentials ? 'Content-Type, Authorization' : 'Content-Type');
+      if (req.method === 'OPTIONS') return res.status(200).end();
+    }
+    if (!methods.includes(req.method)) return res.status(405).json({ error: 'Method not allowed' });
+
+    let body;
+    try {
+      body = (typeof req.body === 'string' ? JSON.parse(req.body) : req.body) || {};
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+
+    try {
+      let editor = null;
+      if (editorAuth) {
+        editor = await verifyEditorAccess(req);
+        if (!editor.ok) {
+          if (editor.rejected) await auditDenied(req, editor, editor.error);
+          return res.status(editor.status || 401).json({ error: editor.error });
+        }
+        const required = typeof permission === 'function' ? permission({ req, body, query: req.query || {} }) : permission;
+        if (required && !editor.permissions.includes(required)) {
+          const error = `Your role (${editor.role}) does not allow ${required}.`;
+          await auditDenied(req, editor, error);
+          return res.status(403).json({ error });
+        }
+      }
+      const result = await handle({ req, res, body, query: req.query || {}, editor });
+      const entry = audit && audit({ req, body, query: req.query || {}, editor, result });
+      if (entry) {
+        await recordAudit({ actor: editor && editor.email, provider: editor && editor.provider, ip: clientIp(req), ...entry });
+      }
+      if (typeof result === 'string') {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.status(200).send(result);
+      }
+      if (result && result[FILE_BODY] !== undefined) {
+        res.setHeader('Content-Type', result.contentType);
+        for (const [name, value] of Object.entries(result.headers)) res.setHeader(name, value);
+        return res.status(200).send(result[FILE_BODY]);
+      }
+      return res.status(200).json(result);
+    } catch (err) {
+      console.error(`${req.url} error:`, err);
+      if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+      return res.status(err.status || 500).json({ error: err.message || errorMessage, field: err.field, conflict: err.conflict });
+    }
+  };
+}
+
+function auditDenied(req, editor, error) {
+  return recordAudit({
+    actor: editor.email,
+    provider: editor.provider,
+    action: 'auth.denied',
+    target: `${req.method} ${String(req.url || '').split('?')[0]}`,
+    outcome: 'denied',
+    detail: error,
+    ip: clientIp(req),
+  });
+}
+
+function sanitizeInput(input) {
+  if (typeof input !== 'string') return '';
+  // Remove HTML tags
+  let sanitized = input.replace(/<[^>]*>/g, '');
+  // Remove script tags and event handlers
+  sanitized = sanitized.replace(/javascript:/gi, '');
+  sanitized = sanitized.replace(/on\w+\s*=/gi, '');
+  // Remove control characters except newlines and tabs
+  sanitized = sanitized.replace(/[\x00-\x08\x0B-\x0C\x0E-\x1F\x7F]/g, '');
+  return sanitized.trim();
+}
+
+function validateEmail(email) {
+  if (!email || typeof email !== 'string') return false;
+  const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailPattern.test(email) && email.length <= 254;
+}
+
+const SUSPICIOUS_PATTERNS = [
+  /<script/i,
+  /javascript:/i,
+  /on\w+\s*=/i,
+  /data:text\/html/i,
+  /vbscript:/i,
+  /<iframe/i,
+  /<object/i,
+  /<embed/i
+];
+
+export const sendEmail = defineRoute({
+  methods: ['POST'],
+  errorMessage: 'Failed to send email',
+  async handle({ req, body }) {
+    await enforceRateLimit('send-email-ip', clientIp(req), SEND_EMAIL_IP_LIMIT);
+
+    let { to, subject, text, replyTo } = body;
+    if (!subject || !text) throw httpError('Missing required fields', 400);
+
+    // Only the brand inbox may receive mail from this endpoint, so it cannot be used as a relay
+    const inbox = (await loadSiteData('brand')).social.email.address;
+    to = to ? sanitizeInput(String(to)) : inbox;
+    subject = sanitizeInput(String(subject));
+    text = sanitizeInput(String(text));
+    if (replyTo) replyTo = sanitizeInput(String(replyTo));
+
+    if (!validateEmail(to)) throw httpError('Invalid email address format', 400);
+    if (to.toLowerCase() !== inbox.toLowerCase()) throw httpError('Recipient not allowed', 403);
+    if (subject.length > 200) throw httpError('Subject too long (max 200 characters)', 400);
+    if (text.length > 10000) throw httpError('Message too long (max 10000 characters)', 400);
+    if (replyTo && !validateEmail(replyTo)) throw httpError('Invalid reply-to email address format', 400);
+
+    for (const pattern of SUSPICIOUS_PATTERNS) {
+      if (pattern.test(text) || pattern.test(subject)) {
+        console.error('Suspicious content detected:', pattern);
+        throw httpError('Invalid content detected', 400);
+      }
+    }
+
+    const sent = await sendMail({ to, subject: escapeHtml(subject), text: escapeHtml(text), replyTo });
+    return { success: true, id: sent.id };
+  },
+});
+
+// Shared by the booking form and waitlist sign-ups, which mail whatever address the form carries
+async function enforceBookingLimits(req, body) {
+  await enforceRateLimit('booking-ip', clientIp(req), BOOKING_IP_LIMIT);
+  const phone = String(body.phone || '').replace(/[^0-9]/g, '');
+  if (phone) await enforceRateLimit('booking-phone', phone, BOOKING_PHONE_LIMIT);
+  // Confirmation mail goes to the address in the form, so limit it too to keep the form from spamming others
+  const email = String(body.email || '').trim().toLowerCase();
+  if (email) await enforceRateLimit('booking-email', email, BOOKING_EMAIL_LIMIT);
+}
+
+// Vercel Cron calls these routes with `Authorization: Bearer $CRON_SECRET`
+function assertCronRequest(req, job) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) throw httpError(`${job} is not configured. Add CRON_SECRET in Vercel.`, 500);
+  if ((req.headers.authorization || '') !== `Bearer ${secret}`) throw httpError('Unauthorized', 401);
+}
+
+export const booking = defineRoute({
+  methods: ['POST'],
+  errorMessage: 'Failed to save booking',
+  async handle({ req, body }) {
+    if (await detectBookingBot(body)) return { success: true, id: null, message: BOOKING_SUCCESS_MESSAGE };
+
+    await enforceBookingLimits(req, body);
+    const saved = await submitBooking(body);
+    return {
+      success: true,
+      id: saved.id,
+      message: saved.confirmed ? BOOKING_CONFIRMED_MESSAGE : BOOKING_SUCCESS_MESSAGE,
+    };
+  },
+});
+
+export const availability = defineRoute({
+  methods: ['GET'],
+  errorMessage: 'Failed to load availability',
+  async handle({ query }) {
+    const result = await listFreeSlots({ from: query.from, to: query.to, trainerId: query.trainer });
+    return { success: true, ...result };
+  },
+});
+
+// Customer self-service from the signed link in the confirmation email: GET shows the booking, POST
+// reschedules ({ action: 'reschedule', slot_start, trainer_id }) or cancels ({ action: 'cancel', reason }).
+export const manageBooking = defineRoute({
+  methods: ['GET', 'POST'],
+  errorMessage: 'Failed to update booking',
+  async handle({ req, body, query }) {
+    if (req.method === 'GET') return { success: true, booking: await getManagedBooking(query.token) };
+
+    await enforceRateLimit('manage-booking-ip', clientIp(req), MANAGE_BOOKING_IP_LIMIT);
+    if (body.action === 'reschedule') {
+      await rescheduleFromLink(body.token, body);
+      return { success: true, booking: await getManagedBooking(body.token), message: '已為您改期，新的確認信與行事曆邀請已寄出。' };
+    }
+    if (body.action === 'cancel') {
+      await cancelFromLink(body.token, body);
+      return { success: true, booking: await getManagedBooking(body.token), message: '已為您取消這堂體驗課。' };
+    }
+    throw httpError('Invalid action. Use reschedule or cancel.', 400);
+  },
+});
+
+// Waitlist for full slots. POST { action: 'join', ...booking fields } signs up; the claim link from the
+// offer email loads the offer with GET ?token= and answers it with { action: 'claim' | 'decline', token }.
+export const waitlist = defineRoute({
+  methods: ['GET', 'POST'],
+  errorMessage: 'Failed to update waitlist',
+  async handle({ req, body, query }) {
+    if (req.method === 'GET') return { success: true, offer: waitlistOfferView(await getWaitlistOffer(query.token)) };
+
+    if (body.action === 'join') {
+      if (await detectBookingBot(body)) return { success: true, id: null, message: '已加入候補名單。' };
+      await enforceBookingLimits(req, body);
+      const entry = await joinWaitlist(body);
+      return {
+        success: true,
+        id: entry.id,
+        position: entry.position,
+        message: `已加入候補名單，目前排在第 ${entry.position} 位。有空位時會寄信通知您。`,
+      };
+    }
+
+    await enforceRateLimit('waitlist-ip', clientIp(req), WAITLIST_IP_LIMIT);
+    if (body.action === 'claim') {
+      const saved = await claimWaitlistOffer(body.token);
+      return {
+        success: true,
+        id: saved.id,
+        offer: saved.offer,
+        message: saved.confirmed ? BOOKING_CONFIRMED_MESSAGE : BOOKING_SUCCESS_MESSAGE,
+      };
+    }
+    if (body.action === 'decline') {
+      await declineWaitlistOffer(body.token);
+      return { success: true, message: '已為您放棄這個名額，謝謝告知。' };
+    }
+    throw httpError('Invalid action. Use join, claim or decline.', 400);
+  },
+});
+
+export const waitlists = defineRoute({
+  methods: ['GET'],
+  editorAuth: true,
+  permission: 'leads:read',
+  errorMessage: 'Failed to load waitlists',
+  async handle() {
+    return { success: true, slots: await listWaitlistDepth() };
+  },
+});
+
+// Status changes, reschedules and cancellations all append to the booking's status_history
+function leadAudit({ req, body, result }) {
+  if (req.method !== 'PATCH') return null;
+  const history = result.booking.status_history;
+  const change = history[history.length - 1];
+  const action = body.action === 'reschedule' || body.action === 'cancel' ? `lead.${body.action}` : 'lead.status';
+  return {
+    action,
+    target: result.booking.id,
+    diff: diffSummary({ status: change.from }, { status: change.status }),
+    detail: [result.booking.name, change.note].filter(Boolean).join(': '),
+  };
+}
+
+export const bookings = defineRoute({
+  methods: ['GET', 'PATCH'],
+  editorAuth: true,
+  permission: ({ req }) => (req.method === 'PATCH' ? 'leads:write' : 'leads:read'),
+  audit: leadAudit,
+  errorMessage: 'Failed to load bookings',
+  async handle({ req, body, query, editor }) {
+    if (req.method === 'PATCH') {
+      const id = query.id || body.id;
+      if (body.action === 'reschedule') return { success: true, booking: await rescheduleBooking(id, body, editor.email) };
+      if (body.action === 'cancel') return { success: true, booking: await cancelBookingSession(id, body, editor.email) };
+      return { success: true, booking: await updateBookingStatus(id, body, editor.email) };
+    }
+    const results = await listBookings({
+      q: query.q,
+      status: query.status,
+      goal: query.goal,
+      contact_time: query.contact_time,
+      from: query.from,
+      to: query.to,
+    });
+    return { success: true, bookings: results };
+  },
+});
+
+// Subscribable per-trainer calendar. Calendar apps fetch it without an Origin, and the token in the
+// URL is the only credential.
+export const calendarFeed = defineRoute({
+  methods: ['GET'],
+  cors: false,
+  errorMessage: 'Failed to load calendar',
+  async handle({ query }) {
+    const calendar = await trainerCalendarFeed(query.trainer, query.token);
+    return fileResponse('text/calendar; charset=utf-8', calendar, {
+      'Content-Disposition': `inline; filename="${String(query.trainer).replace(/[^a-z0-9_-]/gi, '')}.ics"`,
+      'Cache-Control': 'private, max-age=300',
+    });
+  },
+});
+
+export const calendarFeeds = defineRoute({
+  methods: ['GET'],
+  editorAuth: true,
+  permission: 'leads:read',
+  errorMessage: 'Failed to load calendar feeds',
+  async handle({ req }) {
+    const proto = String(req.headers['x-forwarded-proto'] || (req.socket && req.socket.encrypted ? 'https' : 'http')).split(',')[0];
+    return { success: true, feeds: await listCalendarFeeds(`${proto}://${req.headers.host}`) };
+  },
+});
+
+function editorProfile(editor) {
+  return { email: editor.email, provider: editor.provider, role: editor.role, permissions: rolePermissions(editor.role) };
+}
+
+// Staff sign-in: POST { credential } trades a Google ID token for the session cookie, POST
+// { action: 'refresh' } extends it, GET reports who is signed in and DELETE signs out.
+export const editorSession = defineRoute({
+  methods: ['GET', 'POST', 'DELETE'],
+  credentials: true,
+  audit: ({ req, body, result }) => (req.method === 'POST' && body.credential
+    ? { action: 'auth.sign_in', actor: result.editor.email, provider: result.editor.provider, detail: `role ${result.editor.role}` }
+    : null),
+  errorMessage: 'Failed to sign in',
+  async handle({ req, res, body }) {
+    if (req.method === 'DELETE') {
+      res.setHeader('Set-Cookie', clearedSessionCookie(req));
+      return { success: true };
+    }
+    if (req.method === 'GET') {
+      const editor = await verifyEditorAccess(req);
+      if (!editor.ok) throw httpError(editor.error, editor.status || 401);
+      return { success: true, editor: editorProfile(editor), expires_at: editor.expiresAt };
+    }
+
+    let session;
+    if (body.action === 'refresh') session = await refreshEditorSession(req);
+    else if (body.credential) {
+      try {
+        session = await createEditorSession(body.credential);
+      } catch (err) {
+        if (err.status === 401 || err.status === 403) {
+          await recordAudit({ actor: err.email, provider: 'google', action: 'auth.sign_in', outcome: 'failed', detail: err.message, ip: clientIp(req) });
+        }
+        throw err;
+      }
+    } else throw httpError('Missing Google credential.', 400);
+    res.setHeader('Set-Cookie', sessionCookie(req, session));
+    return { success: true, editor: editorProfile(session), expires_at: session.expiresAt };
+  },
+});
+
+export const editors = defineRoute({
+  methods: ['GET', 'POST', 'DELETE'],
+  editorAuth: true,
+  permission: 'editors:manage',
+  audit: ({ req, body, query, result }) => (req.method === 'GET' ? null : {
+    action: req.method === 'DELETE' ? 'editor.remove' : 'editor.save',
+    target: String((req.method === 'DELETE' ? query.email : body.email) || '').trim().toLowerCase(),
+    diff: result.diff,
+  }),
+  errorMessage: 'Failed to update editors',
+  async handle({ req, body, query, editor }) {
+    if (req.method === 'GET') return { success: true, ...(await listEditors()) };
+    if (req.method === 'DELETE') return removeEditor(query.email, editor.email);
+    return saveEditor(body, editor.email);
+  },
+});
+
+export const auditLog = defineRoute({
+  methods: ['GET'],
+  editorAuth: true,
+  permission: 'audit:read',
+  errorMessage: 'Failed to load audit log',
+  async handle({ query }) {
+    const result = await listAuditLog({
+      actor: query.actor,
+      action: query.action,
+      outcome: query.outcome,
+      q: query.q,
+      from: query.from,
+      to: query.to,
+      limit: query.limit,
+    });
+    return { success: true, ...result };
+  },
+});
+
+export const authConfig = defineRoute({
+  methods: ['GET'],
+  errorMessage: 'Failed to load auth config',
+  async handle() {
+    return {
+      googleClientId: process.env.GOOGLE_CLIENT_ID || '',
+      authReady: Boolean(process.env.GOOGLE_CLIENT_ID),
+      // The dev-token form is only offered outside Vercel deployments (local-api-server.js).
+      devTokenLogin: Boolean(process.env.EDITOR_DEV_TOKEN) && !process.env.VERCEL,
+      contentStorage: getContentStorageName(),
+    };
+  },
+});
+
+// Contributors may only save and delete on draft branches; publishing, discarding drafts and direct
+// writes need content:publish.
+function contentPermission({ req, body, query }) {
+  if (req.method === 'GET') return 'content:read';
+  if (req.method === 'DELETE') return query.draft === 'true' ? 'content:draft' : 'content:publish';
+  if (body.type === 'publish' || body.type === 'discard') return 'content:publish';
+  return body.draft === true ? 'content:draft' : 'content:publish';
+}
+
+const CONTENT_AUDIT_ACTIONS = {
+  post: 'content.post.save',
+  testimonial: 'content.testimonial.save',
+  'testimonial-order': 'content.testimonial.reorder',
+  publish: 'content.draft.publish',
+  discard: 'content.draft.discard',
+};
+
+function contentAudit({ req, body, query, result }) {
+  if (req.method === 'GET') return null;
+  const detail = result.draft ? `draft #${result.draft.number} ${result.draft.url}` : '';
+  if (req.method === 'DELETE') {
+    return { action: `content.${query.type}.delete`, target: query.path || query.id, diff: result.diff, detail };
+  }
+  const target = result.type === 'draft' ? `#${result.number}` : result.postPath || result.id || '';
+  return { action: CONTENT_AUDIT_ACTIONS[body.type], target, diff: result.diff, detail };
+}
+
+export const content = defineRoute({
+  methods: ['GET', 'POST', 'DELETE'],
+  editorAuth: true,
+  permission: contentPermission,
+  audit: contentAudit,
+  errorMessage: 'Failed to save content',
+  async handle({ req, body, query, editor }) {
+    if (req.method === 'GET') {
+      if (query.type === 'drafts') return { success: true, drafts: await listDrafts() };
+      if (query.type === 'testimonial') return { success: true, testimonials: await listTestimonials() };
+      if (query.type !== 'post') throw httpError('Invalid content type. Use post or testimonial.', 400);
+      if (query.path) return { success: true, post: await getPost(query.path) };
+      return { success: true, posts: await listPosts() };
+    }
+
+    if (req.method === 'DELETE') {
+      const options = { draft: query.draft === 'true' };
+      if (query.type === 'post') return deletePost(query.path, editor.email, options);
+      if (query.type === 'testimonial') return deleteTestimonial(query.id, editor.email, options);
+      throw httpError('Invalid content type. Use post or testimonial.', 400);
+    }
+
+    const options = { draft: body.draft === true };
+    const data = body.data || {};
+    if (body.type === 'post') return savePost(data, editor.email, options);
+    if (body.type === 'testimonial') return saveTestimonial(data, editor.email, options);
+    if (body.type === 'testimonial-order') return reorderTestimonials(data.ids, editor.email, options);
+    if (body.type === 'publish') return publishDraft(data.number, editor.email);
+    if (body.type === 'discard') return discardDraft(data.number, editor.email);
+    throw httpError('Invalid content type. Use post, testimonial, testimonial-order, publish or discard.', 400);
+  },
+});
+
+export const savePostRoute = defineRoute({
+  methods: ['POST'],
+  editorAuth: true,
+  permission: 'content:publish',
+  audit: ({ result }) => ({ action: 'content.post.save', target: result.postPath, diff: result.diff }),
+  errorMessage: 'Failed to save post',
+  handle: ({ body, editor }) => savePost(body, editor.email),
+});
+
+export const saveTestimonialRoute = defineRoute({
+  methods: ['POST'],
+  editorAuth: true,
+  permission: 'content:publish',
+  audit: ({ result }) => ({ action: 'content.testimonial.save', target: result.id, diff: result.diff }),
+  errorMessage: 'Failed to save testimonial',
+  handle: ({ body, editor }) => saveTestimonial(body, editor.email),
+});
+
+// Media library: GET lists uploaded images with what shows them, POST { image, alt } sets alt text and
+// DELETE ?id= removes an image nothing refers to.
+export const media = defineRoute({
+  methods: ['GET', 'POST', 'DELETE'],
+  editorAuth: true,
+  permission: ({ req }) => (req.method === 'GET' ? 'content:read' : 'content:publish'),
+  audit: ({ req, body, query, result }) => {
+    if (req.method === 'GET') return null;
+    if (req.method === 'DELETE') return { action: 'content.media.delete', target: query.id, diff: result.diff };
+    return { action: 'content.media.alt', target: body.image, diff: result.diff };
+  },
+  errorMessage: 'Failed to update media',
+  async handle({ req, body, query, editor }) {
+    if (req.method === 'GET') return { success: true, images: await listMedia() };
+    if (req.method === 'DELETE') return deleteMedia(query.id, editor.email);
+    return setMediaAlt(body, editor.email);
+  },
+});
+
+export const publishScheduled = defineRoute({
+  methods: ['GET', 'POST'],
+  cors: false,
+  errorMessage: 'Failed to publish scheduled posts',
+  async handle({ req }) {
+    assertCronRequest(req, 'Scheduled publishing');
+    return publishScheduledPosts();
+  },
+});
+
+export const expireWaitlist = defineRoute({
+  methods: ['GET', 'POST'],
+  cors: false,
+  errorMessage: 'Failed to expire waitlist offers',
+  async handle({ req }) {
+    assertCronRequest(req, 'Waitlist expiry');
+    return expireWaitlistOffers();
+  },
+});
+
+// Local-only viewer for mail captured by the outbox transport. It has no Vercel function and answers
+// 404 when running on Vercel.
+export const devOutbox = defineRoute({
+  methods: ['GET'],
+  errorMessage: 'Failed to load outbox',
+  async handle({ query }) {
+    if (process.env.VERCEL) throw httpError('Not found', 404);
+    let transport = null;
+    try {
+      transport = getMailTransport();
+    } catch (err) {
+      // Not configured: show the default outbox folder anyway
+    }
+    const transportName = transport ? transport.name : 'none';
+    const dir = transport && transport.dir;
+    const messages = dir ? await listOutbox(dir) : await listOutbox();
+    if (query.format === 'json') return { success: true, transport: transportName, messages };
+    return renderOutboxPage({ messages, selectedId: query.id, transportName, dir });
+  },
+});
+
+export const routes = [
+  { path: '/api/send-email', handler: sendEmail, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/booking', handler: booking, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/bookings', handler: bookings, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/manage-booking', handler: manageBooking, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/waitlist', handler: waitlist, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/waitlists', handler: waitlists, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/availability', handler: availability, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/calendar-feed', handler: calendarFeed, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/calendar-feeds', handler: calendarFeeds, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/auth-config', handler: authConfig, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/auth/session', handler: editorSession, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/editors', handler: editors, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/audit-log', handler: auditLog, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/content', handler: content, bodyLimit: CONTENT_BODY_LIMIT },
+  { path: '/api/media', handler: media, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/save-post', handler: savePostRoute, bodyLimit: CONTENT_BODY_LIMIT },
+  { path: '/api/save-testimonial', handler: saveTestimonialRoute, bodyLimit: CONTENT_BODY_LIMIT },
+  { path: '/api/cron/publish-scheduled', handler: publishScheduled, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/cron/expire-waitlist', handler: expireWaitlist, bodyLimit: SMALL_BODY_LIMIT },
+  { path: '/api/dev/outbox', handler: devOutbox, bodyLimit: SMALL_BODY_LIMIT },
+];
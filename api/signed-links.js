@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import { httpError } from './http-helpers.js';
+
+// Signed, expiring tokens for links mailed to customers. A token is base64url(JSON payload) + '.' +
+// an HMAC-SHA256 signature made with SIGNED_LINK_SECRET. The payload names the link's purpose, so a
+// token made for one kind of link is refused by every other kind.
+
+function linkSecret() {
+  const secret = process.env.SIGNED_LINK_SECRET;
+  if (!secret) throw httpError('Signed links are not configured. Add SIGNED_LINK_SECRET.', 500);
+  return secret;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+export function signedLinksConfigured() {
+  return Boolean(process.env.SIGNED_LINK_SECRET);
+}
+
+// `expiresAt` is epoch ms
+export function createSignedToken(purpose, data, { expiresAt, secret = linkSecret() }) {
+  const payload = Buffer.from(JSON.stringify({ p: purpose, d: data, e: Math.floor(expiresAt / 1000) })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns the token's data. Throws 404 for tokens that were not signed by us (or for another purpose)
+// and 410 once they have expired.
+export function verifySignedToken(purpose, token, { now = Date.now(), secret = linkSecret() } = {}) {
+  const [payload, signature] = String(token || '').split('.');
+  const invalid = () => httpError('連結無效，請確認網址是否完整。', 404);
+  if (!payload || !signature) throw invalid();
+
+  const expected = Buffer.from(sign(payload, secret));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) throw invalid();
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw invalid();
+  }
+  if (!decoded || decoded.p !== purpose) throw invalid();
+  if (!(decoded.e * 1000 > now)) throw httpError('連結已過期。', 410);
+  return decoded.d;
+}
@@ -0,0 +1,25 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+// Reads Jekyll data files (_data/*.yml) so the API and the site share one copy of the brand and form
+// settings. Vercel functions that use this need the files listed under `includeFiles` in vercel.json.
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '_data');
+
+const cache = new Map();
+
+export function loadSiteData(name) {
+  if (!cache.has(name)) {
+    const file = path.join(DATA_DIR, `${name}.yml`);
+    const pending = fs.readFile(file, 'utf8').then(text => YAML.parse(text) || {});
+    pending.catch(() => cache.delete(name));
+    cache.set(name, pending);
+  }
+  return cache.get(name);
+}
+
+// Tests: use `data` in place of _data/<name>.yml
+export function setSiteData(name, data) {
+  cache.set(name, Promise.resolve(data));
+}
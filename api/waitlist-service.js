@@ -0,0 +1,244 @@
+import {
+  findScheduledSlot,
+  getReservedSlot,
+  holdSlot,
+  isExpiredHold,
+  releaseSlot,
+  slotId,
+  slotLabel,
+} from './availability-service.js';
+import { validateBooking } from './booking-schema.js';
+import { createRecordId, getDataStore } from './data-store.js';
+import { renderEmail, siteUrl } from './email-templates.js';
+import { httpError } from './http-helpers.js';
+import { sendMail } from './mailer.js';
+import { createSignedToken, signedLinksConfigured, verifySignedToken } from './signed-links.js';
+import { loadSiteData } from './site-data.js';
+
+// Waitlist for full session slots. Entries move waiting -> offered -> claimed, or end as declined or
+// expired. Only one entry per slot is offered at a time: the freed slot is held for it (see holdSlot)
+// and the prospect gets a signed claim link that expires with the hold.
+
+const WAITLIST = 'waitlist';
+const CLAIM_PURPOSE = 'waitlist-claim';
+const HOUR_MS = 60 * 60 * 1000;
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+async function waitlistSettings() {
+  const config = await loadSiteData('availability');
+  const settings = config.waitlist || {};
+  return {
+    enabled: Boolean(settings.enabled),
+    claimHours: Number(settings.claim_hours || 2),
+    maxPerSlot: Number(settings.max_per_slot || 5),
+    minNoticeHours: Number(config.min_notice_hours || 0),
+  };
+}
+
+function byCreatedAt(a, b) {
+  return String(a.created_at).localeCompare(String(b.created_at));
+}
+
+async function entriesForSlot(id) {
+  return (await getDataStore().list(WAITLIST))
+    .filter(entry => entry.slot_id === id && OPEN_STATUSES.includes(entry.status))
+    .sort(byCreatedAt);
+}
+
+function sessionData(entry) {
+  return { label: slotLabel(entry.slot_start, entry.slot_end), trainer: entry.trainer_name };
+}
+
+async function sendWaitlistEmail(template, entry, extra = {}) {
+  const brand = await loadSiteData('brand');
+  const message = await renderEmail(template, { entry, session: sessionData(entry), ...extra });
+  return sendMail({ to: entry.email, replyTo: brand.social.email.address, ...message });
+}
+
+// Adds a prospect to a full slot's waitlist. The form fields are validated like a booking, and an
+// email address is required because that is where the claim link goes.
+export async function joinWaitlist(body, now = Date.now()) {
+  const settings = await waitlistSettings();
+  if (!settings.enabled) throw httpError('Waitlist is not enabled', 404);
+  if (!siteUrl() || !signedLinksConfigured()) {
+    throw httpError('Waitlist is not configured. Add SITE_URL and SIGNED_LINK_SECRET.', 500);
+  }
+
+  const values = await validateBooking(body);
+  if (!values.email) throw httpError('候補需要填寫 Email，才能在有空位時通知您。', 400, 'email');
+
+  const slot = await findScheduledSlot({ trainerId: String(body.trainer_id || ''), start: String(body.slot_start || ''), now });
+  if (!slot) throw httpError('這個時段已無法候補，請選擇其他時段。', 400, 'slot');
+  const id = slotId(slot.trainer_id, slot.start);
+  const reserved = await getReservedSlot(id);
+  if (!reserved || isExpiredHold(reserved, now)) throw httpError('這個時段目前有空位，請直接預約。', 409, 'slot');
+
+  const queue = await entriesForSlot(id);
+  if (queue.some(entry => entry.phone === values.phone)) throw httpError('您已經在這個時段的候補名單中。', 409, 'slot');
+  if (queue.length >= settings.maxPerSlot) throw httpError('這個時段的候補名單已滿，請選擇其他時段。', 409, 'slot');
+
+  const entry = await getDataStore().insert(WAITLIST, {
+    id: createRecordId(),
+    slot_id: id,
+    slot_start: slot.start,
+    slot_end: slot.end,
+    trainer_id: slot.trainer_id,
+    trainer_name: slot.trainer_name,
+    name: values.name,
+    phone: values.phone,
+    line_id: values.line_id,
+    email: values.email,
+    goal: values.goal,
+    status: 'waiting',
+    created_at: new Date(now).toISOString(),
+  });
+  const position = queue.length + 1;
+
+  let confirmed = false;
+  try {
+    await sendWaitlistEmail('waitlist-joined', entry, { position });
+    confirmed = true;
+  } catch (err) {
+    console.error('Waitlist confirmation error:', err);
+  }
+  return { id: entry.id, position, confirmed };
+}
+
+// Offers a slot that has just been freed to the first person waiting for it. Returns the offered
+// entry, or null when nobody is waiting or the session is too close to hand out.
+export async function offerReleasedSlot(trainerId, start, now = Date.now()) {
+  const settings = await waitlistSettings();
+  if (!settings.enabled) return null;
+
+  const id = slotId(trainerId, start);
+  const queue = await entriesForSlot(id);
+  if (queue.some(entry => entry.status === 'offered')) return null;
+  const next = queue[0];
+  if (!next) return null;
+
+  const expiresAt = Math.min(now + settings.claimHours * HOUR_MS, Date.parse(next.slot_start) - settings.minNoticeHours * HOUR_MS);
+  if (expiresAt <= now) return null;
+  try {
+    await holdSlot({ trainerId: next.trainer_id, start: next.slot_start, waitlistId: next.id, expiresAt, now });
+  } catch (err) {
+    if (err.status === 409) return null; // booked again or off the schedule
+    throw err;
+  }
+
+  const offered = await getDataStore().update(WAITLIST, next.id, {
+    status: 'offered',
+    offered_at: new Date(now).toISOString(),
+    offer_expires_at: new Date(expiresAt).toISOString(),
+  });
+  try {
+    const token = createSignedToken(CLAIM_PURPOSE, { id: offered.id }, { expiresAt });
+    await sendWaitlistEmail('waitlist-offer', offered, {
+      claim_url: `${siteUrl()}/waitlist-claim.html?token=${token}`,
+      expires_at: new Date(expiresAt).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei', hour12: false }),
+    });
+  } catch (err) {
+    // The hold still expires on schedule and the slot then passes to the next person
+    console.error('Waitlist offer email error:', err);
+  }
+  return offered;
+}
+
+async function closeOffer(entry, status, now) {
+  await releaseSlot(entry.slot_id, { waitlist_id: entry.id });
+  await getDataStore().update(WAITLIST, entry.id, { status, closed_at: new Date(now).toISOString() });
+  return offerReleasedSlot(entry.trainer_id, entry.slot_start, now);
+}
+
+// Run by the waitlist cron: expires unclaimed offers (passing their slot on to the next person) and
+// closes entries for sessions that have already started.
+export async function expireWaitlistOffers(now = Date.now()) {
+  const entries = (await getDataStore().list(WAITLIST)).sort(byCreatedAt);
+  let expired = 0;
+  let offered = 0;
+  for (const entry of entries) {
+    if (entry.status === 'offered' && Date.parse(entry.offer_expires_at) <= now) {
+      expired += 1;
+      if (await closeOffer(entry, 'expired', now)) offered += 1;
+    } else if (entry.status === 'waiting' && Date.parse(entry.slot_start) <= now) {
+      expired += 1;
+      await getDataStore().update(WAITLIST, entry.id, { status: 'expired', closed_at: new Date(now).toISOString() });
+    }
+  }
+  return { success: true, expired, offered };
+}
+
+// The open offer behind a claim link. Throws 404/410 for bad or expired links and 409 once the offer
+// has been claimed, declined or has lapsed.
+export async function getWaitlistOffer(token, now = Date.now()) {
+  const { id } = verifySignedToken(CLAIM_PURPOSE, token, { now });
+  const entry = await getDataStore().get(WAITLIST, id);
+  if (!entry) throw httpError('找不到這筆候補，請透過 LINE 聯絡我們。', 404);
+  if (entry.status !== 'offered' || Date.parse(entry.offer_expires_at) <= now) {
+    throw httpError(entry.status === 'claimed' ? '您已經預約了這個時段。' : '這個候補名額已失效。', 409);
+  }
+  return entry;
+}
+
+export function waitlistOfferView(entry) {
+  return { name: entry.name, session: sessionData(entry), expires_at: entry.offer_expires_at };
+}
+
+// Claims the offer before its booking is made. The update only applies while the entry is still
+// `offered`, so when the same link is opened twice at once the second request fails here with 409.
+export async function claimOffer(entry, now = Date.now()) {
+  const claimed = await getDataStore().update(WAITLIST, entry.id, { status: 'claimed', closed_at: new Date(now).toISOString() }, { status: 'offered' });
+  if (!claimed) throw httpError('您已經預約了這個時段。', 409);
+  return claimed;
+}
+
+// Puts a claimed offer back when its booking could not be made
+export async function reopenOffer(entry) {
+  return getDataStore().update(WAITLIST, entry.id, { status: 'offered', closed_at: '' }, { status: 'claimed' });
+}
+
+export async function markOfferClaimed(entry, bookingId) {
+  return getDataStore().update(WAITLIST, entry.id, { booking_id: bookingId });
+}
+
+export async function declineWaitlistOffer(token, now = Date.now()) {
+  const entry = await getWaitlistOffer(token, now);
+  await closeOffer(entry, 'declined', now);
+  return entry;
+}
+
+// Staff view: open waitlist entries grouped by slot, soonest slot first
+export async function listWaitlistDepth(now = Date.now()) {
+  const groups = new Map();
+  const entries = (await getDataStore().list(WAITLIST))
+    .filter(entry => OPEN_STATUSES.includes(entry.status) && Date.parse(entry.slot_start) > now)
+    .sort(byCreatedAt);
+
+  for (const entry of entries) {
+    if (!groups.has(entry.slot_id)) {
+      groups.set(entry.slot_id, {
+        slot_id: entry.slot_id,
+        slot_start: entry.slot_start,
+        label: sessionData(entry).label,
+        trainer_id: entry.trainer_id,
+        trainer_name: entry.trainer_name,
+        waiting: 0,
+        offered: null,
+        entries: [],
+      });
+    }
+    const group = groups.get(entry.slot_id);
+    if (entry.status === 'offered') group.offered = { name: entry.name, expires_at: entry.offer_expires_at };
+    else group.waiting += 1;
+    group.entries.push({
+      id: entry.id,
+      name: entry.name,
+      phone: entry.phone,
+      line_id: entry.line_id,
+      email: entry.email,
+      goal: entry.goal,
+      status: entry.status,
+      created_at: entry.created_at,
+    });
+  }
+  return Array.from(groups.values()).sort((a, b) => a.slot_start.localeCompare(b.slot_start));
+}
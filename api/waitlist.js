@@ -0,0 +1 @@
+export { waitlist as default } from './routes.js';
@@ -0,0 +1 @@
+export { waitlists as default } from './routes.js';
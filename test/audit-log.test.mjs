@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import { diffSummary, listAuditLog, recordAudit } from '../api/audit-service.js';
+import { createLocalStorage, setContentStorage } from '../api/content-storage.js';
+import { createMemoryStore, getDataStore, setDataStore } from '../api/data-store.js';
+import { saveEditor } from '../api/editor-roles.js';
+import { auditLog, bookings, content } from '../api/routes.js';
+import { call, sessionFor } from './helpers.mjs';
+
+process.env.GOOGLE_CLIENT_ID = 'client-id.apps.googleusercontent.com';
+process.env.EDITOR_ALLOWED_EMAILS = 'owner@example.com';
+process.env.EDITOR_SESSION_SECRET = 'test-secret';
+
+let root;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+  setContentStorage(createLocalStorage({ root }));
+  setDataStore(createMemoryStore());
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('diffs list only changed fields and shorten long values', () => {
+  const diff = diffSummary(
+    { title: 'Old', content: 'a'.repeat(200), featured: false },
+    { title: 'New', content: 'a'.repeat(200), featured: undefined, image: '/img/x.jpg' },
+  );
+  assert.deepEqual(diff, [
+    { field: 'title', before: 'Old', after: 'New' },
+    { field: 'image', before: '', after: '/img/x.jpg' },
+  ]);
+  assert.match(diffSummary(null, { content: 'b'.repeat(200) })[0].after, /^b{80}… \(200 chars\)$/);
+});
+
+test('the log filters by actor, action prefix, outcome and date, newest first', async () => {
+  await recordAudit({ actor: 'a@example.com', provider: 'google', action: 'content.post.save', target: '_posts/2024-01-01-a.md' }, new Date('2024-01-01T02:00:00Z'));
+  await recordAudit({ actor: 'b@example.com', provider: 'google', action: 'lead.status', target: 'lead-1' }, new Date('2024-01-02T02:00:00Z'));
+  await recordAudit({ action: 'auth.denied', outcome: 'denied', detail: 'bad session' }, new Date('2024-01-03T02:00:00Z'));
+
+  assert.deepEqual((await listAuditLog()).entries.map(entry => entry.action), ['auth.denied', 'lead.status', 'content.post.save']);
+  assert.equal((await listAuditLog({ action: 'content' })).total, 1);
+  assert.equal((await listAuditLog({ action: 'content.post' })).total, 1);
+  assert.equal((await listAuditLog({ action: 'cont' })).total, 0);
+  assert.equal((await listAuditLog({ actor: 'B@' })).entries[0].target, 'lead-1');
+  assert.equal((await listAuditLog({ outcome: 'denied' })).entries[0].actor, 'anonymous');
+  assert.equal((await listAuditLog({ from: '2024-01-02', to: '2024-01-02' })).total, 1);
+  assert.equal((await listAuditLog({ q: '2024-01-01-a' })).total, 1);
+});
+
+test('content saves, lead updates and refused requests are recorded', async () => {
+  const owner = sessionFor('owner@example.com');
+  const saved = await call(content, {
+    method: 'POST',
+    cookie: owner,
+    ip: '203.0.113.7',
+    body: { type: 'testimonial', data: { name: '王小姐', category: '減重', content: '謝謝教練' } },
+  });
+  assert.equal(saved.statusCode, 200);
+  await call(content, {
+    method: 'POST',
+    cookie: owner,
+    body: { type: 'testimonial', data: { id: saved.body.id, name: '王小姐', category: '體態改善', content: '謝謝教練' } },
+  });
+
+  const lead = await getDataStore().insert('bookings', { name: '陳先生', phone: '0912345678', status: 'new' });
+  await call(bookings, { method: 'PATCH', cookie: owner, query: { id: lead.id }, body: { status: 'contacted', note: '已電話聯絡' } });
+
+  await saveEditor({ email: 'viewer@example.com', role: 'lead-viewer' }, 'owner@example.com');
+  const refused = await call(bookings, { method: 'PATCH', cookie: sessionFor('viewer@example.com'), url: '/api/bookings?id=x', query: { id: 'x' }, body: { status: 'lost' } });
+  assert.equal(refused.statusCode, 403);
+  await call(bookings, { cookie: 'editor_session=forged.token' });
+  await call(bookings, {}); // not signed in at all: not an auth failure worth logging
+
+  const { entries } = await listAuditLog();
+  const byAction = action => entries.filter(entry => entry.action === action);
+  const [update, add] = byAction('content.testimonial.save');
+  assert.equal(add.actor, 'owner@example.com');
+  assert.equal(add.provider, 'google');
+  assert.equal(add.ip, '203.0.113.7');
+  assert.deepEqual(update.diff, [{ field: 'category', before: '減重', after: '體態改善' }]);
+
+  const [status] = byAction('lead.status');
+  assert.equal(status.target, lead.id);
+  assert.deepEqual(status.diff, [{ field: 'status', before: 'new', after: 'contacted' }]);
+  assert.equal(status.detail, '陳先生: 已電話聯絡');
+
+  const denied = byAction('auth.denied');
+  assert.equal(denied.length, 2);
+  assert.deepEqual(denied.map(entry => entry.actor), ['anonymous', 'viewer@example.com']);
+  assert.equal(denied[1].target, 'PATCH /api/bookings');
+  assert.match(denied[1].detail, /lead-viewer/);
+  assert.ok(denied.every(entry => entry.outcome === 'denied'));
+});
+
+test('only admins can read the audit log', async () => {
+  await saveEditor({ email: 'writer@example.com', role: 'editor' }, 'owner@example.com');
+  assert.equal((await call(auditLog, { cookie: sessionFor('writer@example.com') })).statusCode, 403);
+
+  const result = await call(auditLog, { cookie: sessionFor('owner@example.com'), query: { action: 'auth' } });
+  assert.equal(result.statusCode, 200);
+  assert.equal(result.body.total, 1, 'the refused request above is the only auth entry');
+  assert.equal(result.body.entries[0].actor, 'writer@example.com');
+});
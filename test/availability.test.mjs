@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import { listFreeSlots, releaseSlot, reserveSlot, slotLabel } from '../api/availability-service.js';
+import { createMemoryStore, setDataStore } from '../api/data-store.js';
+
+const CONFIG = {
+  session_minutes: 60,
+  booking_window_days: 14,
+  min_notice_hours: 12,
+  blocked_dates: ['2026-03-04'],
+  trainers: [
+    { id: 'roubao', name: '肉包', weekly_hours: { mon: ['10:00-12:00', '14:00-15:30'], wed: ['10:00-11:00'] }, blocked_dates: [] },
+    { id: 'luke', name: 'Luke', weekly_hours: { mon: ['10:00-11:00'], tue: ['18:00-19:00'] }, blocked_dates: ['2026-03-03'] },
+  ],
+};
+// Sunday 2026-03-01 08:00 in Taipei
+const NOW = Date.parse('2026-03-01T08:00:00+08:00');
+
+beforeEach(() => setDataStore(createMemoryStore()));
+
+test('weekly hours are cut into sessions, skipping blocked dates', async () => {
+  const { slots, session_minutes: minutes } = await listFreeSlots({ from: '2026-03-02', to: '2026-03-04', now: NOW, config: CONFIG });
+  assert.equal(minutes, 60);
+  assert.deepEqual(slots.map(slot => `${slot.trainer_id} ${slot.start}`), [
+    'luke 2026-03-02T10:00:00+08:00',
+    'roubao 2026-03-02T10:00:00+08:00',
+    'roubao 2026-03-02T11:00:00+08:00',
+    'roubao 2026-03-02T14:00:00+08:00',
+  ]);
+  assert.equal(slots[0].end, '2026-03-02T11:00:00+08:00');
+  assert.equal(slots[0].trainer_name, 'Luke');
+});
+
+test('slots inside the minimum notice or past the booking window are not offered', async () => {
+  const lateSunday = Date.parse('2026-03-01T23:30:00+08:00');
+  const { slots } = await listFreeSlots({ from: '2026-03-02', to: '2026-03-02', trainerId: 'roubao', now: lateSunday, config: CONFIG });
+  assert.deepEqual(slots.map(slot => slot.start), ['2026-03-02T14:00:00+08:00']);
+
+  const farAhead = await listFreeSlots({ from: '2026-03-16', to: '2026-03-16', now: NOW, config: CONFIG });
+  assert.deepEqual(farAhead.slots, []);
+});
+
+test('a reserved slot disappears and cannot be reserved twice', async () => {
+  const start = '2026-03-02T11:00:00+08:00';
+  const reservation = await reserveSlot({ trainerId: 'roubao', start, bookingId: 'b1', now: NOW, config: CONFIG });
+  assert.equal(reservation.id, `roubao@${start}`);
+
+  const { slots } = await listFreeSlots({ from: '2026-03-02', to: '2026-03-02', trainerId: 'roubao', now: NOW, config: CONFIG });
+  assert.ok(!slots.some(slot => slot.start === start));
+
+  await assert.rejects(
+    reserveSlot({ trainerId: 'roubao', start, bookingId: 'b2', now: NOW, config: CONFIG }),
+    err => err.status === 409 && err.field === 'slot',
+  );
+
+  await releaseSlot(reservation.id);
+  await reserveSlot({ trainerId: 'roubao', start, bookingId: 'b2', now: NOW, config: CONFIG });
+});
+
+test('concurrent reservations of one slot let exactly one through', async () => {
+  const start = '2026-03-02T10:00:00+08:00';
+  const results = await Promise.allSettled(['b1', 'b2', 'b3'].map(bookingId =>
+    reserveSlot({ trainerId: 'luke', start, bookingId, now: NOW, config: CONFIG })));
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+});
+
+test('times that are not on the schedule are rejected', async () => {
+  for (const start of ['2026-03-02T10:30:00+08:00', '2026-03-03T18:00:00+08:00', 'not-a-date']) {
+    await assert.rejects(reserveSlot({ trainerId: 'luke', start, bookingId: 'b1', now: NOW, config: CONFIG }), { status: 409 });
+  }
+});
+
+test('slot labels use Taipei time', () => {
+  assert.equal(slotLabel('2026-03-02T14:00:00+08:00', '2026-03-02T15:00:00+08:00'), '3/2（一）14:00–15:00');
+});
+
+test('ranges are validated', async () => {
+  await assert.rejects(listFreeSlots({ from: '2026-03-02', to: '2026-05-02', now: NOW, config: CONFIG }), { status: 400 });
+  await assert.rejects(listFreeSlots({ from: '2026-3-2', now: NOW, config: CONFIG }), { status: 400 });
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { beforeEach, test } from 'node:test';
+import YAML from 'yaml';
+import { validateBooking } from '../api/booking-schema.js';
+import { createMemoryStore, getDataStore, setDataStore } from '../api/data-store.js';
+import { setMailTransport } from '../api/mailer.js';
+import { setNotificationChannels } from '../api/notifications.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../api/rate-limit.js';
+import { booking } from '../api/routes.js';
+import { call } from './helpers.mjs';
+
+const schema = YAML.parse(fs.readFileSync(new URL('../_data/booking.yml', import.meta.url), 'utf8'));
+const LEAD = { name: '王小明', phone: '0912345678', contact_time: '早上(8~12點)', goal: '健康' };
+
+function rejects(body, field, message = schema.fields[field].message) {
+  return assert.rejects(validateBooking(body), err => {
+    assert.equal(err.status, 400);
+    assert.equal(err.field, field);
+    assert.equal(err.message, message);
+    return true;
+  });
+}
+
+beforeEach(() => {
+  setDataStore(createMemoryStore());
+  setRateLimitStore(createMemoryRateLimitStore());
+  setNotificationChannels([]);
+  setMailTransport({ name: 'capture', async send() { return { id: '1' }; } });
+});
+
+test('a valid booking comes back cleaned, with every schema field present', async () => {
+  const values = await validateBooking({ ...LEAD, name: '  Amy Chen-Wang  ', phone: '0912-345 678', email: 'amy@example.com', note: 'not in the schema' });
+  assert.deepEqual(values, { name: 'Amy Chen-Wang', phone: '0912345678', line_id: '', email: 'amy@example.com', contact_time: '早上(8~12點)', goal: '健康' });
+  assert.deepEqual(Object.keys(values), Object.keys(schema.fields));
+});
+
+test('required fields name the first one that is missing', async () => {
+  await rejects({ ...LEAD, name: '   ' }, 'name', schema.required_message);
+  // Nothing is left once only digits are kept
+  await rejects({ ...LEAD, phone: '--' }, 'phone', schema.required_message);
+  await rejects({ ...LEAD, goal: undefined }, 'goal', schema.required_message);
+  await rejects({}, 'name', schema.required_message);
+});
+
+test('contact time is only required when no session slot was picked', async () => {
+  await rejects({ ...LEAD, contact_time: '' }, 'contact_time', schema.required_message);
+  const values = await validateBooking({ ...LEAD, contact_time: '', slot_start: '2026-03-02T14:00:00+08:00' });
+  assert.equal(values.contact_time, '');
+  // A value that is given must still be one of the options
+  await rejects({ ...LEAD, contact_time: '半夜', slot_start: '2026-03-02T14:00:00+08:00' }, 'contact_time');
+});
+
+test('patterns, lengths and options come from _data/booking.yml', async () => {
+  await rejects({ ...LEAD, name: '<script>' }, 'name');
+  await rejects({ ...LEAD, name: '王'.repeat(schema.fields.name.max_length + 1) }, 'name');
+  await rejects({ ...LEAD, phone: '091234567' }, 'phone');
+  await rejects({ ...LEAD, line_id: 'ming 88' }, 'line_id');
+  await rejects({ ...LEAD, email: 'amy@example' }, 'email');
+  await rejects({ ...LEAD, goal: '增肌' }, 'goal');
+
+  for (const { value } of schema.fields.goal.options) {
+    assert.equal((await validateBooking({ ...LEAD, goal: value })).goal, value);
+  }
+  for (const { value } of schema.fields.contact_time.options) {
+    assert.equal((await validateBooking({ ...LEAD, contact_time: value })).contact_time, value);
+  }
+});
+
+test('the booking endpoint answers with the invalid field and stores nothing', async () => {
+  const res = await call(booking, { method: 'POST', body: { ...LEAD, phone: '12345', form_elapsed_ms: 8000 } });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, schema.fields.phone.message);
+  assert.equal(res.body.field, 'phone');
+  assert.deepEqual(await getDataStore().list('bookings'), []);
+
+  const saved = await call(booking, { method: 'POST', body: { ...LEAD, phone: '0912 345 678', form_elapsed_ms: 8000 } });
+  assert.equal(saved.statusCode, 200);
+  const [lead] = await getDataStore().list('bookings');
+  assert.equal(lead.phone, '0912345678');
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import { listFreeSlots } from '../api/availability-service.js';
+import { cancelBookingSession, rescheduleBooking, submitBooking, trainerCalendarFeed } from '../api/booking-service.js';
+import { calendarFeedToken, sessionInvite, verifyCalendarFeedToken } from '../api/calendar.js';
+import { createMemoryStore, setDataStore } from '../api/data-store.js';
+import { setMailTransport } from '../api/mailer.js';
+import { setNotificationChannels } from '../api/notifications.js';
+import { useTestAvailability } from './helpers.mjs';
+
+process.env.CALENDAR_FEED_SECRET = 'test-secret';
+useTestAvailability();
+
+const BRAND = {
+  name: 'DUO FITNESS',
+  social: {
+    email: { address: 'studio@example.com' },
+    line: { url: 'https://line.me/R/ti/p/%40duo' },
+  },
+};
+const BOOKING = {
+  id: 'abc123',
+  name: '王小明',
+  phone: '0912345678',
+  email: 'amy@example.com',
+  goal: '健康',
+  slot_start: '2026-03-02T14:00:00+08:00',
+  slot_end: '2026-03-02T15:00:00+08:00',
+  trainer_id: 'roubao',
+  trainer_name: '肉包',
+  calendar_sequence: 0,
+};
+
+function property(ics, name) {
+  const unfolded = ics.replace(/\r\n /g, '');
+  const line = unfolded.split('\r\n').find(item => item.startsWith(`${name}:`) || item.startsWith(`${name};`));
+  return line && line.slice(line.indexOf(':') + 1);
+}
+
+let sent;
+
+beforeEach(() => {
+  setDataStore(createMemoryStore());
+  setNotificationChannels([]);
+  sent = [];
+  setMailTransport({
+    name: 'capture',
+    async send(message) {
+      sent.push(message);
+      return { id: String(sent.length) };
+    },
+  });
+});
+
+test('invites are RFC 5545: CRLF lines folded at 75 octets, UTC times and escaped text', () => {
+  const invite = sessionInvite({ ...BOOKING, goal: '減肥, 增肌; 體態\\調整'.repeat(3) }, { audience: 'trainer', brand: BRAND, trainer: { name: '肉包' } });
+  assert.equal(invite.contentType, 'text/calendar; charset=utf-8; method=REQUEST');
+
+  const ics = invite.content;
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(!/[^\r]\n/.test(ics), 'every line ends with CRLF');
+  for (const line of ics.split('\r\n')) assert.ok(Buffer.byteLength(line) <= 75, `line too long: ${line}`);
+
+  assert.equal(property(ics, 'METHOD'), 'REQUEST');
+  assert.equal(property(ics, 'UID'), 'booking-abc123@duo-fitness');
+  assert.equal(property(ics, 'DTSTART'), '20260302T060000Z');
+  assert.equal(property(ics, 'DTEND'), '20260302T070000Z');
+  assert.equal(property(ics, 'SUMMARY'), '體驗課：王小明');
+  assert.ok(property(ics, 'DESCRIPTION').includes('運動目標：減肥\\, 增肌\\; 體態\\\\調整'));
+});
+
+test('cancellations keep the UID and carry the sequence they are given', () => {
+  const invite = sessionInvite({ ...BOOKING, calendar_sequence: 2 }, { audience: 'customer', brand: BRAND, cancelled: true });
+  assert.equal(invite.filename, 'cancel.ics');
+  assert.equal(property(invite.content, 'METHOD'), 'CANCEL');
+  assert.equal(property(invite.content, 'UID'), 'booking-abc123@duo-fitness');
+  assert.equal(property(invite.content, 'SEQUENCE'), '2');
+  assert.equal(property(invite.content, 'STATUS'), 'CANCELLED');
+  assert.equal(property(invite.content, 'ATTENDEE'), 'mailto:amy@example.com');
+});
+
+test('feed tokens are per trainer and only valid for the secret they came from', () => {
+  const token = calendarFeedToken('roubao');
+  assert.equal(token.length, 32);
+  assert.ok(verifyCalendarFeedToken('roubao', token));
+  assert.ok(!verifyCalendarFeedToken('luke', token));
+  assert.ok(!verifyCalendarFeedToken('roubao', token, 'another-secret'));
+  assert.ok(!verifyCalendarFeedToken('roubao', ''));
+});
+
+test('rescheduling and cancelling send updates with the same UID and a higher SEQUENCE', async () => {
+  const { slots } = await listFreeSlots({ trainerId: 'roubao', to: new Date(Date.now() + 13 * 86400000).toISOString().slice(0, 10) });
+  const [first, second] = slots;
+  const { id } = await submitBooking({
+    name: '王小明',
+    phone: '0912345678',
+    email: 'amy@example.com',
+    goal: '健康',
+    slot_start: first.start,
+    trainer_id: 'roubao',
+  });
+
+  const invite = sent.find(message => message.to === 'amy@example.com').attachments[0].content;
+  assert.equal(property(invite, 'SEQUENCE'), '0');
+  const uid = property(invite, 'UID');
+
+  const moved = await rescheduleBooking(id, { slot_start: second.start }, 'staff@example.com');
+  assert.equal(moved.slot_start, second.start);
+  const update = sent[sent.length - 1];
+  assert.equal(update.to, 'amy@example.com');
+  assert.equal(property(update.attachments[0].content, 'UID'), uid);
+  assert.equal(property(update.attachments[0].content, 'SEQUENCE'), '1');
+  assert.equal(property(update.attachments[0].content, 'METHOD'), 'REQUEST');
+
+  const free = await listFreeSlots({ trainerId: 'roubao', from: first.start.slice(0, 10), to: second.start.slice(0, 10) });
+  assert.ok(free.slots.some(slot => slot.start === first.start), 'the old slot is free again');
+
+  const feed = await trainerCalendarFeed('roubao', calendarFeedToken('roubao'));
+  assert.equal(property(feed, 'UID'), uid);
+  assert.equal(property(feed, 'DTSTART'), property(update.attachments[0].content, 'DTSTART'));
+
+  await cancelBookingSession(id, { reason: '臨時有事' }, 'staff@example.com');
+  const cancellation = sent[sent.length - 1].attachments[0].content;
+  assert.equal(property(cancellation, 'METHOD'), 'CANCEL');
+  assert.equal(property(cancellation, 'SEQUENCE'), '2');
+  assert.equal(property(await trainerCalendarFeed('roubao', calendarFeedToken('roubao')), 'UID'), undefined);
+
+  await assert.rejects(trainerCalendarFeed('roubao', 'wrong-token'), { status: 404 });
+});
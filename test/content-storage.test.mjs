@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, test } from 'node:test';
+import sharp from 'sharp';
+import YAML from 'yaml';
+import { listPosts, saveTestimonial } from '../api/content-service.js';
+import { createLocalStorage, gitBlobSha, setContentStorage } from '../api/content-storage.js';
+import { fakeGitHub, file, json } from './helpers.mjs';
+
+const realFetch = globalThis.fetch;
+const roots = [];
+const TESTIMONIALS = YAML.stringify([
+  { id: 't-1', name: 'Amy', image: '/img/testimonials/default.jpg', category: '減重', content: '謝謝' },
+  { id: 't-2', name: 'Ben', image: '/img/testimonials/default.jpg', category: '增肌', content: '很棒' },
+]);
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  for (const root of roots.splice(0)) fs.rmSync(root, { recursive: true, force: true });
+});
+
+function tempRoot() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'content-storage-'));
+  roots.push(root);
+  return root;
+}
+
+test('a GitHub error while reading fails the save instead of overwriting the file', async () => {
+  const calls = fakeGitHub(() => json(500, { message: 'Server Error' }));
+  await assert.rejects(
+    saveTestimonial({ name: 'Cara', category: '體態', content: '推薦' }),
+    err => err.githubStatus === 500 && err.status === 502,
+  );
+  assert.ok(!calls.some(call => call.startsWith('POST /git/')), 'nothing was committed');
+
+  fakeGitHub(() => json(403, { message: 'API rate limit exceeded' }));
+  await assert.rejects(saveTestimonial({ name: 'Cara', category: '體態', content: '推薦' }), { githubStatus: 403 });
+});
+
+test('only a 404 reads as a missing file', async () => {
+  let committed = null;
+  const calls = fakeGitHub(filePath => (filePath === '_data/testimonials.yml' ? file(TESTIMONIALS) : json(404, { message: 'Not Found' })));
+  const fetchGitHub = globalThis.fetch;
+  globalThis.fetch = async (url, options) => {
+    if (options && options.method === 'POST' && url.endsWith('/git/blobs')) committed = Buffer.from(JSON.parse(options.body).content, 'base64').toString('utf8');
+    return fetchGitHub(url, options);
+  };
+
+  const saved = await saveTestimonial({ name: 'Cara', category: '體態', content: '推薦' });
+  assert.equal(saved.success, true);
+  assert.deepEqual(YAML.parse(committed).map(entry => entry.name), ['Amy', 'Ben', 'Cara'], 'the existing entries are kept');
+  assert.ok(calls.includes('PATCH /git/refs/heads/main'));
+});
+
+test('a save is one commit with every changed file, built on the branch head', async () => {
+  const calls = fakeGitHub(filePath => (filePath === '_data/testimonials.yml' ? file(TESTIMONIALS) : json(404, { message: 'Not Found' })));
+  const photo = await sharp({ create: { width: 100, height: 100, channels: 3, background: '#c0a060' } }).png().toBuffer();
+  await saveTestimonial({ name: 'Cara', category: '體態', content: '推薦', image: { data: photo.toString('base64') } });
+
+  // The testimonial list and the photo's WebP and JPEG variants
+  const writes = calls.filter(call => /^(POST|PATCH) \/git\//.test(call));
+  assert.deepEqual(writes, ['POST /git/blobs', 'POST /git/blobs', 'POST /git/blobs', 'POST /git/trees', 'POST /git/commits', 'PATCH /git/refs/heads/main']);
+});
+
+test('post files are fetched once per blob sha, not on every listing', async () => {
+  const post = title => `---\nlayout: post\ntitle: ${title}\ndate: 2024-05-01\nexcerpt: 重點\n---\n\n內文\n`;
+  const blobs = {};
+  let listing = [];
+  function setPosts(posts) {
+    listing = Object.entries(posts).map(([name, text]) => {
+      blobs[gitBlobSha(text)] = text;
+      return { type: 'file', name, path: `_posts/${name}`, sha: gitBlobSha(text) };
+    });
+  }
+  const calls = fakeGitHub(filePath => (filePath === '_posts' ? json(200, listing) : json(404, { message: 'Not Found' })), { blobs });
+  const blobReads = () => calls.filter(call => call.startsWith('GET /git/blobs/')).length;
+
+  setPosts({ '2024-05-01-squats.md': post('深蹲'), '2024-05-02-press.md': post('肩推') });
+  assert.deepEqual((await listPosts()).map(item => item.title), ['肩推', '深蹲']);
+  await listPosts();
+  assert.equal(blobReads(), 2);
+  assert.ok(!calls.some(call => call.startsWith('GET /contents/_posts/')), 'no per-file contents API reads');
+
+  setPosts({ '2024-05-01-squats.md': post('深蹲入門'), '2024-05-02-press.md': post('肩推') });
+  assert.deepEqual((await listPosts()).map(item => item.title), ['肩推', '深蹲入門']);
+  assert.equal(blobReads(), 3, 'only the edited post is fetched again');
+});
+
+test('local storage reads, lists and commits files in the working tree', async () => {
+  const root = tempRoot();
+  fs.mkdirSync(path.join(root, '_posts'));
+  fs.writeFileSync(path.join(root, '_posts/2024-05-01-squats.md'), '深蹲');
+  fs.writeFileSync(path.join(root, '_posts/.DS_Store'), 'hidden');
+  fs.mkdirSync(path.join(root, '_posts/drafts'));
+  const storage = createLocalStorage({ root });
+
+  assert.deepEqual(await storage.readFile('_posts/2024-05-01-squats.md'), { sha: gitBlobSha('深蹲'), content: '深蹲' });
+  assert.deepEqual(await storage.readFile('_posts/missing.md'), { sha: null, content: null });
+  assert.deepEqual(await storage.listDirectory('_posts'), [{ name: '2024-05-01-squats.md', path: '_posts/2024-05-01-squats.md', sha: gitBlobSha('深蹲') }]);
+  assert.deepEqual(await storage.listDirectory('img/none'), []);
+  assert.deepEqual(
+    (await storage.readFiles([{ path: '_posts/2024-05-01-squats.md' }, { path: '_posts/gone.md' }])).map(item => item.content),
+    ['深蹲'],
+    'files removed since they were listed are left out',
+  );
+
+  const parent = await storage.head();
+  const commit = await storage.commit({
+    parent,
+    message: 'save',
+    changes: [
+      { path: 'img/programs/new/photo.jpg', content: Buffer.from([0xff, 0xd8, 0xff]) },
+      { path: '_data/testimonials.yml', content: '[]\n' },
+      { path: '_posts/2024-05-01-squats.md', delete: true },
+      { path: '_posts/never-existed.md', delete: true },
+    ],
+  });
+  assert.deepEqual(commit, { sha: await storage.head(), branch: 'working-tree', draft: false });
+  assert.notEqual(commit.sha, parent);
+  assert.deepEqual(fs.readFileSync(path.join(root, 'img/programs/new/photo.jpg')), Buffer.from([0xff, 0xd8, 0xff]));
+  assert.equal(fs.readFileSync(path.join(root, '_data/testimonials.yml'), 'utf8'), '[]\n');
+  assert.equal(fs.existsSync(path.join(root, '_posts/2024-05-01-squats.md')), false);
+
+  assert.equal(await storage.commit({ parent, message: 'stale', changes: [{ path: 'stale.txt', content: 'x' }] }), null, 'built on an old head');
+  assert.equal(fs.existsSync(path.join(root, 'stale.txt')), false);
+});
+
+test('local storage retries saves that raced each other, so neither is lost', async () => {
+  const root = tempRoot();
+  setContentStorage(createLocalStorage({ root }));
+  await Promise.all([
+    saveTestimonial({ name: 'Amy', category: '減重', content: '謝謝' }),
+    saveTestimonial({ name: 'Ben', category: '增肌', content: '很棒' }),
+  ]);
+  const names = YAML.parse(fs.readFileSync(path.join(root, '_data/testimonials.yml'), 'utf8')).map(entry => entry.name);
+  assert.deepEqual(names.sort(), ['Amy', 'Ben']);
+});
+
+test('local storage refuses paths outside its root', async () => {
+  const root = tempRoot();
+  const storage = createLocalStorage({ root: path.join(root, 'site') });
+  fs.mkdirSync(path.join(root, 'site'));
+  fs.writeFileSync(path.join(root, 'secret.txt'), 'secret');
+
+  await assert.rejects(storage.readFile('../secret.txt'), { status: 400 });
+  await assert.rejects(storage.readFile(path.join(root, 'secret.txt')), { status: 400 });
+  await assert.rejects(storage.listDirectory('..'), { status: 400 });
+  await assert.rejects(storage.commit({ parent: await storage.head(), message: 'escape', changes: [{ path: '../secret.txt', delete: true }] }), { status: 400 });
+  assert.equal(fs.readFileSync(path.join(root, 'secret.txt'), 'utf8'), 'secret');
+});
+
+test('local storage has no drafts', async () => {
+  const storage = createLocalStorage({ root: tempRoot() });
+  assert.equal(storage.drafts, false);
+  await assert.rejects(storage.commit({ parent: await storage.head(), message: 'draft', draftBranch: 'content-draft/x', changes: [] }), { status: 400 });
+  await assert.rejects(storage.createDraft({ branch: 'content-draft/x', title: 'x', body: '' }), { status: 400 });
+  assert.deepEqual(await storage.listDrafts(), []);
+  await assert.rejects(storage.publishDraft(3, 'owner@example.com'), { status: 404 });
+  await assert.rejects(storage.discardDraft(3, 'owner@example.com'), { status: 404 });
+});
+
+test('with gitCommit, local storage commits only the changed paths to the checked-out branch', async () => {
+  const root = tempRoot();
+  const git = (...args) => execFileSync('git', args, { cwd: root, encoding: 'utf8' }).trim();
+  git('init', '-q');
+  git('config', 'user.email', 'editor@example.com');
+  git('config', 'user.name', 'Editor');
+  fs.writeFileSync(path.join(root, 'notes.txt'), 'unrelated work in progress');
+  const storage = createLocalStorage({ root, gitCommit: true });
+
+  const commit = await storage.commit({ parent: await storage.head(), message: 'Content editor: add testimonial', changes: [{ path: '_data/testimonials.yml', content: '[]\n' }] });
+  assert.equal(commit.sha, git('rev-parse', 'HEAD'));
+  assert.equal(git('log', '-1', '--format=%s'), 'Content editor: add testimonial');
+  assert.equal(git('show', '--name-only', '--format=', 'HEAD'), '_data/testimonials.yml');
+  assert.equal(git('status', '--porcelain'), '?? notes.txt', 'other files are not committed');
+
+  const unchanged = await storage.commit({ parent: await storage.head(), message: 'no-op', changes: [{ path: '_data/testimonials.yml', content: '[]\n' }] });
+  assert.equal(unchanged.sha, commit.sha, 'nothing to commit leaves HEAD alone');
+});
@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, test } from 'node:test';
+import { createJsonFileStore, createKvStore, createMemoryStore } from '../api/data-store.js';
+
+const realFetch = globalThis.fetch;
+const roots = [];
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  for (const root of roots.splice(0)) fs.rmSync(root, { recursive: true, force: true });
+});
+
+function tempFile() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'data-store-'));
+  roots.push(root);
+  return path.join(root, 'nested', 'store.json');
+}
+
+// Just enough of the Upstash REST API (one command per POST) for createKvStore, over an in-memory Redis
+function fakeKv() {
+  const hashes = new Map();
+  const commands = [];
+  const hash = key => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+  globalThis.fetch = async (url, options) => {
+    assert.equal(url, 'https://kv.example.com');
+    assert.equal(options.headers.Authorization, 'Bearer kv-token');
+    const [name, ...args] = JSON.parse(options.body);
+    commands.push(name);
+    let result;
+    if (name === 'HSETNX') {
+      result = hash(args[0]).has(args[1]) ? 0 : (hash(args[0]).set(args[1], args[2]), 1);
+    } else if (name === 'HSET') {
+      hash(args[0]).set(args[1], args[2]);
+      result = 1;
+    } else if (name === 'HGET') {
+      result = hash(args[0]).has(args[1]) ? hash(args[0]).get(args[1]) : null;
+    } else if (name === 'HVALS') {
+      result = Array.from(hash(args[0]).values());
+    } else if (name === 'HDEL') {
+      result = hash(args[0]).delete(args[1]) ? 1 : 0;
+    } else if (name === 'EVAL') {
+      // The compare-and-swap script: [script, 1, key, field, before, after]
+      const [, , key, field, before, after] = args;
+      const current = hash(key).has(field) ? hash(key).get(field) : false;
+      if (current !== before) {
+        result = 0;
+      } else {
+        if (after === '') hash(key).delete(field);
+        else hash(key).set(field, after);
+        result = 1;
+      }
+    } else {
+      return new Response(JSON.stringify({ error: `unknown command ${name}` }), { status: 400 });
+    }
+    return new Response(JSON.stringify({ result }), { status: 200 });
+  };
+  return { hashes, commands };
+}
+
+const backends = {
+  memory: () => createMemoryStore(),
+  'JSON file': () => createJsonFileStore(tempFile()),
+  KV: () => {
+    fakeKv();
+    return createKvStore({ url: 'https://kv.example.com', token: 'kv-token' });
+  },
+};
+
+for (const [name, createStore] of Object.entries(backends)) {
+  test(`${name} store: insert, get, list, update and remove`, async () => {
+    const store = createStore();
+    const lead = await store.insert('bookings', { name: '王小明', status: 'new' });
+    assert.match(lead.id, /^[0-9a-f-]{36}$/);
+    assert.deepEqual(await store.get('bookings', lead.id), lead);
+    assert.equal(await store.get('bookings', 'missing'), null);
+    assert.deepEqual(await store.list('slots'), [], 'collections start empty');
+
+    await assert.rejects(store.insert('bookings', { id: lead.id, name: 'again' }), { status: 409 });
+    await store.insert('bookings', { id: 'b-2', name: '陳小華' });
+    assert.deepEqual((await store.list('bookings')).map(entry => entry.name).sort(), ['王小明', '陳小華']);
+
+    const updated = await store.update('bookings', lead.id, { status: 'contacted', id: 'changed' });
+    assert.deepEqual(updated, { ...lead, status: 'contacted' }, 'the id cannot be patched');
+    assert.deepEqual(await store.get('bookings', lead.id), updated);
+    assert.equal(await store.update('bookings', 'missing', { status: 'lost' }), null);
+
+    assert.equal(await store.remove('bookings', 'b-2'), true);
+    assert.equal(await store.remove('bookings', 'b-2'), false);
+    assert.deepEqual((await store.list('bookings')).map(entry => entry.id), [lead.id]);
+  });
+
+  test(`${name} store: updates and removes with expected values only apply while they still match`, async () => {
+    const store = createStore();
+    await store.insert('waitlist', { id: 'w-1', status: 'offered' });
+
+    assert.equal(await store.update('waitlist', 'w-1', { status: 'claimed' }, { status: 'waiting' }), null);
+    const results = await Promise.all([
+      store.update('waitlist', 'w-1', { status: 'claimed', by: 'first' }, { status: 'offered' }),
+      store.update('waitlist', 'w-1', { status: 'claimed', by: 'second' }, { status: 'offered' }),
+    ]);
+    assert.equal(results.filter(Boolean).length, 1, 'only one of two racing claims wins');
+    assert.equal((await store.get('waitlist', 'w-1')).by, results.find(Boolean).by);
+
+    assert.equal(await store.remove('waitlist', 'w-1', { status: 'offered' }), false);
+    assert.equal(await store.remove('waitlist', 'w-1', { status: 'claimed' }), true);
+    assert.equal(await store.get('waitlist', 'w-1'), null);
+  });
+}
+
+test('memory store hands out copies, so callers cannot change stored records in place', async () => {
+  const store = createMemoryStore();
+  const lead = await store.insert('bookings', { id: 'b-1', name: '王小明' });
+  lead.name = 'changed';
+  (await store.get('bookings', 'b-1')).name = 'changed';
+  (await store.list('bookings'))[0].name = 'changed';
+  assert.equal((await store.get('bookings', 'b-1')).name, '王小明');
+});
+
+test('JSON file store keeps records across restarts and does not lose concurrent writes', async () => {
+  const file = tempFile();
+  const store = createJsonFileStore(file);
+  await Promise.all(Array.from({ length: 20 }, (_, i) => store.insert('bookings', { id: `b-${i}`, name: `lead ${i}` })));
+  await store.update('bookings', 'b-3', { status: 'contacted' });
+
+  const reopened = createJsonFileStore(file);
+  assert.equal((await reopened.list('bookings')).length, 20);
+  assert.equal((await reopened.get('bookings', 'b-3')).status, 'contacted');
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['store.json'], 'no temp file is left behind');
+});
+
+test('KV store keeps each collection in one prefixed hash', async () => {
+  const { hashes, commands } = fakeKv();
+  const store = createKvStore({ url: 'https://kv.example.com', token: 'kv-token', prefix: 'site' });
+  await store.insert('bookings', { id: 'b-1', name: '王小明' });
+  await store.update('bookings', 'b-1', { status: 'contacted' }, { name: '王小明' });
+
+  assert.deepEqual(Array.from(hashes.keys()), ['site:bookings']);
+  assert.deepEqual(JSON.parse(hashes.get('site:bookings').get('b-1')), { id: 'b-1', name: '王小明', status: 'contacted' });
+  assert.deepEqual(commands, ['HSETNX', 'HGET', 'EVAL']);
+
+  globalThis.fetch = async () => new Response(JSON.stringify({ error: 'WRONGPASS' }), { status: 401 });
+  await assert.rejects(store.get('bookings', 'b-1'), /Data store: 401 WRONGPASS/);
+});
@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import YAML from 'yaml';
+import { listDrafts, savePost } from '../api/content-service.js';
+import { createLocalStorage, setContentStorage } from '../api/content-storage.js';
+import { createMemoryStore, setDataStore } from '../api/data-store.js';
+import { createOutboxTransport, listOutbox, setMailTransport } from '../api/mailer.js';
+import { content } from '../api/routes.js';
+import { call, fakeGitHub, file, json, sessionFor } from './helpers.mjs';
+
+process.env.GOOGLE_CLIENT_ID = 'client-id.apps.googleusercontent.com';
+process.env.EDITOR_ALLOWED_EMAILS = 'owner@example.com';
+process.env.EDITOR_SESSION_SECRET = 'test-secret';
+
+const realFetch = globalThis.fetch;
+const owner = () => sessionFor('owner@example.com');
+const writer = () => sessionFor('writer@example.com');
+const EDITORS = YAML.stringify([{ email: 'writer@example.com', role: 'contributor' }]);
+const POST = { title: '深蹲入門', date: '2024-05-01', slug: 'squats', excerpt: '三個重點', content: '內文' };
+const POST_FILE = '---\nlayout: post\ntitle: 深蹲入門\ndate: 2024-05-01\nexcerpt: 三個重點\npermalink: /blog/squats.html\n---\n\n內文\n';
+let outbox;
+
+function pull(number, extra = {}) {
+  return {
+    number,
+    title: 'Content draft: post squats',
+    html_url: `https://github.com/owner/site/pull/${number}`,
+    head: { ref: 'content-draft/post-squats-abc', sha: 'draft-sha' },
+    base: { ref: 'main' },
+    body: 'Saved as a draft by writer@example.com via the content editor.',
+    state: 'open',
+    merged_at: null,
+    created_at: '2026-03-01T01:00:00Z',
+    updated_at: '2026-03-01T02:00:00Z',
+    ...extra,
+  };
+}
+
+// A fake GitHub holding the pull requests in `pulls`; `requests` records what was sent to the draft endpoints
+function draftsOnGitHub(pulls, { merge = () => json(200, { merged: true }) } = {}) {
+  const requests = [];
+  // The draft's post is only on main once it was merged
+  const files = { '_data/editors.yml': EDITORS };
+  const calls = fakeGitHub(filePath => (files[filePath] ? file(files[filePath]) : json(404, { message: 'Not Found' })), {
+    routes(method, apiPath, body) {
+      const key = `${method} ${apiPath}`;
+      if (body && (apiPath === '/git/refs' || /^\/(pulls|issues)/.test(apiPath))) requests.push({ key, body });
+      if (key === 'POST /git/refs') return json(201, { ref: body.ref });
+      if (key === 'POST /pulls') return json(201, pull(12, { title: body.title, head: { ref: body.head, sha: 'commit-2' }, body: body.body }));
+      if (key === 'GET /pulls') return json(200, pulls);
+      const match = apiPath.match(/^\/(?:pulls|issues)\/(\d+)/);
+      const found = match && pulls.find(item => item.number === Number(match[1]));
+      if (!match) return null;
+      if (!found) return json(404, { message: 'Not Found' });
+      if (key === `GET /pulls/${found.number}`) return json(200, { ...found, mergeable: true, mergeable_state: 'clean' });
+      if (key === `GET /pulls/${found.number}/reviews`) return json(200, found.reviews || []);
+      if (key === `PUT /pulls/${found.number}/merge`) {
+        const answer = merge(body);
+        if (answer.ok) files['_posts/2024-05-01-squats.md'] = POST_FILE;
+        return answer;
+      }
+      if (key === `GET /pulls/${found.number}/files`) return json(200, [{ filename: '_posts/2024-05-01-squats.md', status: 'added' }, { filename: 'img/programs/old.jpg', status: 'removed' }]);
+      if (key === `POST /issues/${found.number}/comments`) return json(201, {});
+      if (key === `PATCH /pulls/${found.number}`) return json(200, { ...found, state: body.state });
+      return null;
+    },
+  });
+  return { calls, requests };
+}
+
+beforeEach(() => {
+  setDataStore(createMemoryStore());
+  outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'drafts-outbox-'));
+  setMailTransport(createOutboxTransport({ dir: outbox }));
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  fs.rmSync(outbox, { recursive: true, force: true });
+});
+
+test('a contributor saves a draft: a branch and pull request, with main left alone', async () => {
+  const { calls, requests } = draftsOnGitHub([]);
+  const res = await call(content, { method: 'POST', cookie: writer(), body: { type: 'post', draft: true, data: POST } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.message, '草稿已建立，請另一位編輯審核後再發布。');
+  assert.deepEqual(res.body.draft, { number: 12, url: 'https://github.com/owner/site/pull/12', branch: res.body.draft.branch });
+  assert.match(res.body.draft.branch, /^content-draft\/post-squats-[a-z0-9]+$/);
+
+  const [ref, opened] = requests;
+  assert.deepEqual(ref, { key: 'POST /git/refs', body: { ref: 'refs/heads/' + res.body.draft.branch, sha: 'commit-2' } });
+  assert.equal(opened.key, 'POST /pulls');
+  assert.equal(opened.body.head, res.body.draft.branch);
+  assert.equal(opened.body.base, 'main');
+  assert.match(opened.body.body, /draft by writer@example\.com via/);
+  assert.ok(!calls.includes('PATCH /git/refs/heads/main'), 'nothing is published');
+
+  const direct = await call(content, { method: 'POST', cookie: writer(), body: { type: 'post', data: POST } });
+  assert.equal(direct.statusCode, 403, 'contributors can only save drafts');
+});
+
+test('drafts are listed with their author, state and review outcome', async () => {
+  draftsOnGitHub([
+    pull(7, { reviews: [{ user: { login: 'amy' }, state: 'CHANGES_REQUESTED' }, { user: { login: 'amy' }, state: 'APPROVED' }, { user: { login: 'ben' }, state: 'COMMENTED' }] }),
+    pull(6, { state: 'closed', merged_at: '2026-02-01T00:00:00Z' }),
+    pull(5, { head: { ref: 'feature/new-layout', sha: 'x' } }),
+  ]);
+  const res = await call(content, { cookie: writer(), query: { type: 'drafts' } });
+  assert.equal(res.statusCode, 200);
+  const [open, merged] = res.body.drafts;
+  assert.equal(res.body.drafts.length, 2, 'pull requests not opened by the editor are left out');
+  assert.equal(open.author, 'writer@example.com');
+  assert.equal(open.state, 'open');
+  assert.equal(open.review, 'approved', "a reviewer's latest verdict counts");
+  assert.equal(open.mergeable, true);
+  assert.equal(merged.state, 'merged');
+  assert.equal(merged.review, undefined);
+});
+
+test('publishing squash-merges the draft and deletes its branch', async () => {
+  const { calls, requests } = draftsOnGitHub([pull(7)]);
+  const refused = await call(content, { method: 'POST', cookie: writer(), body: { type: 'publish', data: { number: 7 } } });
+  assert.equal(refused.statusCode, 403, 'contributors cannot publish');
+
+  const res = await call(content, { method: 'POST', cookie: owner(), body: { type: 'publish', data: { number: 7 } } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.number, 7);
+  assert.deepEqual(requests.find(request => request.key === 'PUT /pulls/7/merge').body, {
+    merge_method: 'squash',
+    commit_title: 'Content editor (owner@example.com): publish post squats',
+    sha: 'draft-sha',
+  });
+  assert.ok(calls.includes('DELETE /git/refs/heads/content-draft/post-squats-abc'));
+
+  const [mail, ...rest] = await listOutbox(outbox);
+  assert.deepEqual(rest, []);
+  assert.match(mail.subject, /^新內容已發布/);
+  assert.match(mail.text, /（owner@example\.com）/);
+  assert.match(mail.text, /- 深蹲入門（2024-05-01）/);
+});
+
+test('drafts that cannot be merged, are closed or are not drafts are not published', async () => {
+  draftsOnGitHub([pull(7), pull(8, { state: 'closed', merged_at: '2026-02-01T00:00:00Z' }), pull(9, { head: { ref: 'feature/x', sha: 'x' } })], {
+    merge: () => json(405, { message: 'Pull Request is not mergeable' }),
+  });
+  const publish = number => call(content, { method: 'POST', cookie: owner(), body: { type: 'publish', data: { number } } });
+  const unmergeable = await publish(7);
+  assert.equal(unmergeable.statusCode, 409);
+  assert.match(unmergeable.body.error, /not mergeable/);
+  const published = await publish(8);
+  assert.equal(published.statusCode, 409);
+  assert.match(published.body.error, /already published/);
+  assert.equal((await publish(9)).statusCode, 404);
+  assert.equal((await publish(40)).statusCode, 404);
+  assert.deepEqual(await listOutbox(outbox), [], 'nothing was published, nothing is announced');
+});
+
+test('discarding comments on the pull request, closes it and deletes the branch', async () => {
+  const { calls, requests } = draftsOnGitHub([pull(7)]);
+  const res = await call(content, { method: 'POST', cookie: owner(), body: { type: 'discard', data: { number: 7 } } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.message, '草稿已捨棄。');
+  assert.deepEqual(requests.map(request => request.key), ['POST /issues/7/comments', 'PATCH /pulls/7']);
+  assert.deepEqual(requests[1].body, { state: 'closed' });
+  assert.match(requests[0].body.body, /Discarded by owner@example\.com/);
+  assert.ok(calls.includes('DELETE /git/refs/heads/content-draft/post-squats-abc'));
+});
+
+test('the local storage has no drafts', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'drafts-'));
+  try {
+    setContentStorage(createLocalStorage({ root }));
+    await assert.rejects(savePost(POST, 'writer@example.com', { draft: true }), { status: 400, message: /CONTENT_STORAGE=github/ });
+    assert.equal(fs.existsSync(path.join(root, '_posts')), false);
+    assert.deepEqual(await listDrafts(), []);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
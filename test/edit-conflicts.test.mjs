@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import YAML from 'yaml';
+import { getPost, listTestimonials, savePost, saveTestimonial } from '../api/content-service.js';
+import { createLocalStorage, setContentStorage } from '../api/content-storage.js';
+import { createMemoryStore, setDataStore } from '../api/data-store.js';
+import { content } from '../api/routes.js';
+import { call, sessionFor } from './helpers.mjs';
+
+process.env.GOOGLE_CLIENT_ID = 'client-id.apps.googleusercontent.com';
+process.env.EDITOR_ALLOWED_EMAILS = 'owner@example.com';
+process.env.EDITOR_SESSION_SECRET = 'test-secret';
+
+const POST_PATH = '_posts/2024-05-01-squats.md';
+let root;
+
+function read(filePath) {
+  return fs.readFileSync(path.join(root, filePath), 'utf8');
+}
+
+// The editor form for a post as loaded, with the sha it was loaded at
+async function postForm(changes = {}) {
+  const post = await getPost(POST_PATH);
+  return { title: post.title, date: post.date, slug: post.slug, excerpt: post.excerpt, content: post.content, original_path: post.path, base_sha: post.sha, ...changes };
+}
+
+async function testimonialForm(id, changes = {}) {
+  const entry = (await listTestimonials()).find(item => item.id === id);
+  return { id, name: entry.name, category: entry.category, content: entry.content, base_version: entry.version, ...changes };
+}
+
+beforeEach(async () => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'edit-conflicts-'));
+  setContentStorage(createLocalStorage({ root }));
+  setDataStore(createMemoryStore());
+  fs.mkdirSync(path.join(root, '_data'));
+  fs.writeFileSync(path.join(root, '_data/testimonials.yml'), YAML.stringify([
+    { id: 't-amy', name: 'Amy', image: '/img/testimonials/default.jpg', category: '減重', content: '謝謝' },
+  ]));
+  await savePost({ title: '深蹲入門', date: '2024-05-01', slug: 'squats', excerpt: '三個重點', content: '內文' });
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('saving a post someone else changed since it was loaded is a conflict carrying their version', async () => {
+  const mine = await postForm({ content: '我的內文' });
+  const theirs = await savePost(await postForm({ content: '別人的內文' }));
+
+  const res = await call(content, { method: 'POST', cookie: sessionFor('owner@example.com'), body: { type: 'post', data: mine } });
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.conflict.reason, 'changed');
+  assert.equal(res.body.conflict.current.sha, theirs.sha);
+  assert.equal(res.body.conflict.current.content, '別人的內文');
+  assert.match(read(POST_PATH), /別人的內文/, 'their version is kept');
+
+  const merged = await savePost({ ...mine, base_sha: res.body.conflict.current.sha, content: '別人的內文\n\n我的內文' });
+  assert.equal(merged.sha, (await getPost(POST_PATH)).sha, 'saving on top of their version goes through');
+});
+
+test('force overwrites a changed post, and an unchanged one needs no force', async () => {
+  const mine = await postForm({ content: '我的內文' });
+  await savePost(await postForm({ content: '別人的內文' }));
+  await savePost({ ...mine, force: true });
+  assert.match(read(POST_PATH), /我的內文/);
+
+  const again = await savePost(await postForm({ content: '再改一次' }));
+  assert.equal(again.success, true);
+});
+
+test('saving a post deleted since it was loaded is a conflict unless forced', async () => {
+  const mine = await postForm({ content: '我的內文' });
+  fs.rmSync(path.join(root, POST_PATH));
+
+  await assert.rejects(savePost(mine), err => err.status === 409 && err.conflict.reason === 'deleted' && err.conflict.current === null);
+  assert.equal(fs.existsSync(path.join(root, POST_PATH)), false);
+  await savePost({ ...mine, force: true });
+  assert.match(read(POST_PATH), /我的內文/);
+});
+
+test('a new post is not saved over an existing one with the same date and slug', async () => {
+  await assert.rejects(
+    savePost({ title: '另一篇', date: '2024-05-01', slug: 'squats', excerpt: '重點', content: '新內文' }),
+    err => err.status === 409 && err.conflict.reason === 'exists' && err.conflict.current.path === POST_PATH,
+  );
+  assert.match(read(POST_PATH), /內文/);
+  assert.doesNotMatch(read(POST_PATH), /新內文/);
+});
+
+test('saving a testimonial someone else changed since it was loaded is a conflict carrying their version', async () => {
+  const mine = await testimonialForm('t-amy', { content: '我的版本' });
+  const theirs = await saveTestimonial(await testimonialForm('t-amy', { content: '別人的版本' }));
+
+  await assert.rejects(saveTestimonial(mine), err => {
+    assert.equal(err.status, 409);
+    assert.equal(err.conflict.reason, 'changed');
+    assert.equal(err.conflict.current.content, '別人的版本');
+    assert.equal(err.conflict.current.version, theirs.version);
+    return true;
+  });
+  assert.equal(YAML.parse(read('_data/testimonials.yml'))[0].content, '別人的版本');
+
+  const forced = await saveTestimonial({ ...mine, force: true });
+  assert.equal(YAML.parse(read('_data/testimonials.yml'))[0].content, '我的版本');
+  assert.equal(forced.version, (await listTestimonials())[0].version, 'the new version is returned for the next save');
+});
+
+test('saving a testimonial deleted since it was loaded is a conflict unless forced', async () => {
+  const mine = await testimonialForm('t-amy', { content: '我的版本' });
+  fs.writeFileSync(path.join(root, '_data/testimonials.yml'), '[]\n');
+
+  await assert.rejects(saveTestimonial(mine), err => err.status === 409 && err.conflict.reason === 'deleted');
+  assert.deepEqual(YAML.parse(read('_data/testimonials.yml')), []);
+  await saveTestimonial({ ...mine, force: true });
+  assert.deepEqual(YAML.parse(read('_data/testimonials.yml')).map(entry => entry.id), ['t-amy']);
+});
@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import { createLocalStorage, setContentStorage } from '../api/content-storage.js';
+import {
+  createEditorSession,
+  refreshEditorSession,
+  sessionCookie,
+  setJwksTransport,
+  verifyEditorAccess,
+} from '../api/editor-auth.js';
+
+process.env.GOOGLE_CLIENT_ID = 'client-id.apps.googleusercontent.com';
+process.env.EDITOR_ALLOWED_EMAILS = 'coach@example.com';
+process.env.EDITOR_SESSION_SECRET = 'test-secret';
+process.env.EDITOR_DEV_TOKEN = 'dev-token';
+
+const HOUR_MS = 60 * 60 * 1000;
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' };
+
+let jwksRequests;
+let root;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'editor-auth-'));
+  setContentStorage(createLocalStorage({ root }));
+  jwksRequests = 0;
+  setJwksTransport(async () => {
+    jwksRequests += 1;
+    return {
+      ok: true,
+      headers: new Headers({ 'cache-control': 'public, max-age=3600' }),
+      json: async () => ({ keys: [jwk] }),
+    };
+  });
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function googleIdToken(claims = {}, { kid = 'key-1', key = privateKey } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = encode({ alg: 'RS256', kid, typ: 'JWT' });
+  const payload = encode({
+    iss: 'https://accounts.google.com',
+    aud: process.env.GOOGLE_CLIENT_ID,
+    email: 'coach@example.com',
+    email_verified: true,
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    ...claims,
+  });
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), key).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+function requestWith(cookie) {
+  return { headers: { cookie: cookie.split(';')[0] } };
+}
+
+test('a verified Google credential becomes a session cookie the editor routes accept', async () => {
+  const now = Date.now();
+  const session = await createEditorSession(googleIdToken(), now);
+  const cookie = sessionCookie({ headers: {} }, session, now);
+  assert.match(cookie, /^editor_session=[\w-]+\.[\w-]+; Path=\/api; Max-Age=7200; HttpOnly; SameSite=Lax$/);
+
+  const editor = await verifyEditorAccess(requestWith(cookie), now);
+  assert.equal(editor.ok, true);
+  assert.equal(editor.email, 'coach@example.com');
+  assert.equal(editor.expiresAt, session.expiresAt);
+
+  await createEditorSession(googleIdToken());
+  assert.equal(jwksRequests, 1, 'keys are cached between sign-ins');
+});
+
+test('credentials with a bad signature, audience, expiry or email are refused', async () => {
+  const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  await assert.rejects(createEditorSession(googleIdToken({}, { key: otherKey })), { status: 401 });
+  await assert.rejects(createEditorSession(googleIdToken({ aud: 'another-app' })), { status: 401, message: /different app/ });
+  await assert.rejects(createEditorSession(googleIdToken({ exp: Math.floor(Date.now() / 1000) - 3600 })), { status: 401 });
+  await assert.rejects(createEditorSession(googleIdToken({ iss: 'https://evil.example.com' })), { status: 401 });
+  await assert.rejects(createEditorSession(googleIdToken({ email_verified: false })), { status: 403 });
+  await assert.rejects(createEditorSession(googleIdToken({ email: 'stranger@example.com' })), { status: 403 });
+  await assert.rejects(createEditorSession('not-a-token'), { status: 401 });
+});
+
+test('an unknown key id refetches the published keys', async () => {
+  await createEditorSession(googleIdToken());
+  await assert.rejects(createEditorSession(googleIdToken({}, { kid: 'rotated' }), Date.now() + 2 * 60 * 1000), { status: 401 });
+  assert.equal(jwksRequests, 2);
+});
+
+test('sessions expire when idle, refresh up to the maximum age, and reject tampering', async () => {
+  const signedInAt = Date.now();
+  const session = await createEditorSession(googleIdToken(), signedInAt);
+  const request = requestWith(sessionCookie({ headers: {} }, session, signedInAt));
+
+  const idle = await verifyEditorAccess(request, signedInAt + 3 * HOUR_MS);
+  assert.equal(idle.status, 401);
+  assert.match(idle.error, /expired/);
+
+  const refreshed = await refreshEditorSession(request, signedInAt + HOUR_MS);
+  assert.equal(refreshed.expiresAt, signedInAt + 3 * HOUR_MS);
+  const later = requestWith(sessionCookie({ headers: {} }, refreshed, signedInAt + HOUR_MS));
+  assert.equal((await verifyEditorAccess(later, signedInAt + 2.5 * HOUR_MS)).ok, true);
+
+  let current = later;
+  let latest = refreshed;
+  for (let hour = 2; hour <= 11; hour += 1) {
+    latest = await refreshEditorSession(current, signedInAt + hour * HOUR_MS);
+    current = requestWith(sessionCookie({ headers: {} }, latest, signedInAt + hour * HOUR_MS));
+  }
+  assert.equal(latest.expiresAt, signedInAt + 12 * HOUR_MS, 'refreshes stop at the maximum age');
+  assert.equal((await verifyEditorAccess(current, signedInAt + 12 * HOUR_MS + 1)).status, 401);
+
+  const [payload, signature] = session.token.split('.');
+  const forged = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  forged.d.at = signedInAt + 6 * HOUR_MS;
+  const tampered = `editor_session=${Buffer.from(JSON.stringify(forged)).toString('base64url')}.${signature}`;
+  assert.equal((await verifyEditorAccess(requestWith(tampered), signedInAt)).status, 401);
+});
+
+test('the dev token still signs in without Google', async () => {
+  const editor = await verifyEditorAccess({ headers: { authorization: 'Bearer dev-token' } });
+  assert.equal(editor.ok, true);
+  assert.equal(editor.provider, 'dev-token');
+  assert.equal((await verifyEditorAccess({ headers: {} })).status, 401);
+});
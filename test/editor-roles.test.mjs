@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import { createLocalStorage, setContentStorage } from '../api/content-storage.js';
+import { createMemoryStore, setDataStore } from '../api/data-store.js';
+import { editorRole, listEditors, removeEditor, saveEditor } from '../api/editor-roles.js';
+import { bookings, content, editors } from '../api/routes.js';
+import { call, sessionFor } from './helpers.mjs';
+
+process.env.GOOGLE_CLIENT_ID = 'client-id.apps.googleusercontent.com';
+process.env.EDITOR_ALLOWED_EMAILS = 'owner@example.com';
+process.env.EDITOR_SESSION_SECRET = 'test-secret';
+
+let root;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'editor-roles-'));
+  setContentStorage(createLocalStorage({ root }));
+  setDataStore(createMemoryStore());
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('EDITOR_ALLOWED_EMAILS are admins and everyone else comes from the editor list', async () => {
+  assert.equal(await editorRole('Owner@Example.com'), 'admin');
+  assert.equal(await editorRole('writer@example.com'), null);
+
+  await saveEditor({ email: 'Writer@Example.com', role: 'contributor', name: '小編' }, 'owner@example.com');
+  assert.equal(await editorRole('writer@example.com'), 'contributor');
+  assert.match(fs.readFileSync(path.join(root, '_data/editors.yml'), 'utf8'), /- email: writer@example.com\n {2}name: 小編\n {2}role: contributor/);
+
+  await saveEditor({ email: 'writer@example.com', role: 'lead-viewer' }, 'owner@example.com');
+  const { editors: list } = await listEditors();
+  assert.deepEqual(list, [{ email: 'writer@example.com', role: 'lead-viewer', name: '小編' }]);
+
+  await removeEditor('writer@example.com', 'owner@example.com');
+  assert.equal(await editorRole('writer@example.com'), null);
+});
+
+test('admins cannot change themselves, unknown roles are refused, and one admin always remains', async () => {
+  await assert.rejects(saveEditor({ email: 'owner@example.com', role: 'editor' }, 'owner@example.com'), { status: 400 });
+  await assert.rejects(saveEditor({ email: 'writer@example.com', role: 'superuser' }, 'owner@example.com'), { status: 400 });
+  await assert.rejects(removeEditor('nobody@example.com', 'owner@example.com'), { status: 404 });
+
+  const allowed = process.env.EDITOR_ALLOWED_EMAILS;
+  process.env.EDITOR_ALLOWED_EMAILS = '';
+  try {
+    await saveEditor({ email: 'admin@example.com', role: 'admin' }, 'setup');
+    await assert.rejects(saveEditor({ email: 'admin@example.com', role: 'editor' }, 'setup'), { status: 400, message: /At least one admin/ });
+  } finally {
+    process.env.EDITOR_ALLOWED_EMAILS = allowed;
+  }
+});
+
+test('routes enforce the permission each role grants', async () => {
+  await saveEditor({ email: 'writer@example.com', role: 'contributor' }, 'owner@example.com');
+  await saveEditor({ email: 'viewer@example.com', role: 'lead-viewer' }, 'owner@example.com');
+
+  assert.equal((await call(bookings, { cookie: sessionFor('viewer@example.com') })).statusCode, 200);
+  const patch = await call(bookings, { method: 'PATCH', cookie: sessionFor('viewer@example.com'), query: { id: 'x' }, body: { status: 'contacted' } });
+  assert.equal(patch.statusCode, 403);
+  assert.match(patch.body.error, /lead-viewer/);
+  assert.equal((await call(bookings, { cookie: sessionFor('writer@example.com') })).statusCode, 403);
+
+  assert.equal((await call(content, { cookie: sessionFor('writer@example.com'), query: { type: 'testimonial' } })).statusCode, 200);
+  const publish = await call(content, { method: 'POST', cookie: sessionFor('writer@example.com'), body: { type: 'testimonial', data: { name: 'A', category: 'B', content: 'C' } } });
+  assert.equal(publish.statusCode, 403);
+  assert.equal((await call(content, { cookie: sessionFor('viewer@example.com'), query: { type: 'testimonial' } })).statusCode, 403);
+
+  assert.equal((await call(editors, { cookie: sessionFor('writer@example.com') })).statusCode, 403);
+  const list = await call(editors, { cookie: sessionFor('owner@example.com') });
+  assert.equal(list.statusCode, 200);
+  assert.deepEqual(list.body.env_admins, ['owner@example.com']);
+  assert.equal((await call(editors, { method: 'DELETE', cookie: sessionFor('owner@example.com'), query: { email: 'viewer@example.com' } })).statusCode, 200);
+  assert.equal((await call(bookings, { cookie: sessionFor('viewer@example.com') })).statusCode, 403, 'removal applies to open sessions');
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+// Snapshot tests for api/email-templates/. Every template needs a fixture in test/fixtures/emails/.
+// After changing a template on purpose, refresh the snapshots with `UPDATE_SNAPSHOTS=1 npm test`.
+process.env.SITE_URL = 'https://example.com';
+delete process.env.VERCEL_PROJECT_PRODUCTION_URL;
+
+const { listEmailTemplates, renderEmail } = await import('../api/email-templates.js');
+
+const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.join(TEST_DIR, 'fixtures', 'emails');
+const SNAPSHOT_DIR = path.join(TEST_DIR, 'snapshots', 'emails');
+const PARTS = { subject: 'subject.txt', text: 'txt', html: 'html' };
+
+async function matchSnapshot(file, actual) {
+  const snapshotPath = path.join(SNAPSHOT_DIR, file);
+  if (process.env.UPDATE_SNAPSHOTS) {
+    await fs.mkdir(SNAPSHOT_DIR, { recursive: true });
+    await fs.writeFile(snapshotPath, actual, 'utf8');
+    return;
+  }
+  let expected;
+  try {
+    expected = await fs.readFile(snapshotPath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') assert.fail(`Missing snapshot ${file}. Run UPDATE_SNAPSHOTS=1 npm test.`);
+    throw err;
+  }
+  assert.equal(actual, expected, `${file} does not match its snapshot`);
+}
+
+for (const name of await listEmailTemplates()) {
+  test(`email template ${name} matches its snapshots`, async () => {
+    const fixture = JSON.parse(await fs.readFile(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+    const email = await renderEmail(name, fixture);
+    for (const [part, extension] of Object.entries(PARTS)) {
+      await matchSnapshot(`${name}.${extension}`, email[part]);
+    }
+  });
+}
+
+test('HTML parts escape data but text parts keep it as written', async () => {
+  const fixture = JSON.parse(await fs.readFile(path.join(FIXTURE_DIR, 'booking-confirmation.json'), 'utf8'));
+  const email = await renderEmail('booking-confirmation', fixture);
+  assert.ok(email.html.includes('Amy O&#039;Neil &lt;script&gt;'));
+  assert.ok(!email.html.includes('<script>'));
+  assert.ok(email.text.includes("Amy O'Neil <script>"));
+});
+
+test('the layout falls back to the brand name when no site URL is configured', async () => {
+  const email = await renderEmail('content-published', { posts: [], site_url: '' });
+  assert.ok(!email.html.includes('<img'));
+  assert.ok(email.html.includes('letter-spacing: 2px;">DUO FITNESS</span>'));
+});
+
+test('unknown template names are rejected', async () => {
+  await assert.rejects(renderEmail('../secrets'), /Invalid email template name/);
+  await assert.rejects(renderEmail('missing-template'), { code: 'ENOENT' });
+});
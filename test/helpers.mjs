@@ -0,0 +1,74 @@
+import fs from 'node:fs';
+import YAML from 'yaml';
+import { createGitHubStorage, gitBlobSha, setContentStorage } from '../api/content-storage.js';
+import { createSignedToken } from '../api/signed-links.js';
+import { setSiteData } from '../api/site-data.js';
+
+// Shared by the tests: a signed-in editor's cookie, a call through a handler from api/routes.js with just
+// enough of the Vercel request and response objects, trainer hours to book against, and a fake GitHub for
+// the content storage.
+
+export function sessionFor(email) {
+  const now = Date.now();
+  const until = now + 60 * 60 * 1000;
+  const token = createSignedToken('editor-session', { email, at: now, until }, { expiresAt: until, secret: process.env.EDITOR_SESSION_SECRET });
+  return `editor_session=${token}`;
+}
+
+export async function call(handler, { method = 'GET', url = '/api/test', cookie, headers = {}, ip = '127.0.0.1', body = {}, query = {} } = {}) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    send(payload) { this.body = payload; return this; },
+    end() { return this; },
+  };
+  await handler({ method, url, headers: { cookie, ...headers }, socket: { remoteAddress: ip }, body, query }, res);
+  return res;
+}
+
+// Trainers with weekly hours to book against, in place of _data/availability.yml whose hours ship empty
+export function useTestAvailability() {
+  setSiteData('availability', YAML.parse(fs.readFileSync(new URL('./fixtures/availability.yml', import.meta.url), 'utf8')));
+}
+
+export function json(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+export function file(text) {
+  return json(200, { sha: gitBlobSha(text), content: Buffer.from(text).toString('base64') });
+}
+
+// Just enough of the GitHub REST API for one commit on main, installed as the content storage. `contents`
+// answers reads of the contents API, `blobs` (sha -> text) reads of the Git blobs API, and `routes`
+// (method, apiPath, body) may answer anything else first, e.g. the pull request endpoints drafts use.
+// Restore globalThis.fetch after each test.
+export function fakeGitHub(contents, { blobs = {}, routes = () => null } = {}) {
+  const calls = [];
+  globalThis.fetch = async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    const method = options.method || 'GET';
+    const apiPath = pathname.replace('/repos/owner/site', '');
+    calls.push(`${method} ${apiPath}`);
+    const body = options.body ? JSON.parse(options.body) : null;
+    const answer = routes(method, apiPath, body);
+    if (answer) return answer;
+    if (apiPath.startsWith('/contents/')) return contents(decodeURIComponent(apiPath.slice('/contents/'.length)));
+    if (method === 'GET' && apiPath.startsWith('/git/blobs/')) {
+      const text = blobs[apiPath.slice('/git/blobs/'.length)];
+      return text == null ? json(404, { message: 'Not Found' }) : json(200, { content: Buffer.from(text).toString('base64'), encoding: 'base64' });
+    }
+    if (apiPath === '/git/ref/heads/main') return json(200, { object: { sha: 'head-1' } });
+    if (apiPath === '/git/commits/head-1') return json(200, { tree: { sha: 'tree-1' } });
+    if (apiPath === '/git/blobs') return json(201, { sha: gitBlobSha(Buffer.from(body.content, 'base64')) });
+    if (apiPath === '/git/trees') return json(201, { sha: 'tree-2', tree: body.tree });
+    if (apiPath === '/git/commits') return json(201, { sha: 'commit-2' });
+    if (apiPath === '/git/refs/heads/main') return json(200, { object: { sha: 'commit-2' } });
+    return json(404, { message: 'Not Found' });
+  };
+  setContentStorage(createGitHubStorage({ token: 'token', owner: 'owner', repo: 'site', branch: 'main' }));
+  return calls;
+}
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import sharp from 'sharp';
+import YAML from 'yaml';
+import { deletePost, deleteTestimonial, savePost, saveTestimonial } from '../api/content-service.js';
+import { createLocalStorage, setContentStorage } from '../api/content-storage.js';
+import { detectImageType, processImage } from '../api/image-pipeline.js';
+
+let root;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-pipeline-'));
+  setContentStorage(createLocalStorage({ root }));
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// A phone-style JPEG: 1600x900 stored sideways (EXIF orientation 6) with a GPS position
+function phonePhoto() {
+  return sharp({ create: { width: 1600, height: 900, channels: 3, background: '#c0a060' } })
+    .jpeg()
+    .withMetadata({
+      orientation: 6,
+      exif: { IFD0: { Make: 'PhoneCo' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '25/1 2/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '121/1 33/1 0/1' } },
+    })
+    .toBuffer();
+}
+
+function upload(buffer, extension = 'jpg') {
+  return { data: buffer.toString('base64'), extension };
+}
+
+test('uploads are identified by their magic bytes, not the extension', async () => {
+  const png = await sharp({ create: { width: 4, height: 4, channels: 4, background: '#0000' } }).png().toBuffer();
+  assert.equal(detectImageType(png), 'png');
+  assert.equal(detectImageType(await phonePhoto()), 'jpeg');
+  assert.equal(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+
+  await assert.rejects(processImage(upload(Buffer.from('<?php echo 1; ?>'), 'jpg'), 'posts'), { status: 400, message: /Image type not allowed/ });
+  const truncated = (await phonePhoto()).subarray(0, 64);
+  await assert.rejects(processImage(upload(truncated), 'posts'), { status: 400 });
+
+  const processed = await processImage(upload(png, 'gif'), 'testimonials');
+  assert.equal(processed.type, 'png');
+  assert.deepEqual(processed.variants.map(variant => `${variant.format}@${variant.width}`), ['webp@4', 'jpeg@4'], 'never upscaled');
+});
+
+test('variants are upright, resized to the configured widths and carry no metadata', async () => {
+  const processed = await processImage(upload(await phonePhoto()), 'posts');
+  assert.equal(processed.width, 900);
+  assert.equal(processed.height, 1600);
+  assert.deepEqual(processed.variants.map(variant => `${variant.format}@${variant.width}`), ['webp@480', 'webp@800', 'webp@900', 'jpeg@480', 'jpeg@800', 'jpeg@900']);
+
+  for (const variant of processed.variants) {
+    const metadata = await sharp(variant.buffer).metadata();
+    assert.equal(metadata.format, variant.format);
+    assert.equal(metadata.width, variant.width);
+    assert.ok(metadata.height > metadata.width, 'rotated to portrait');
+    assert.equal(metadata.exif, undefined);
+    assert.equal(metadata.orientation, undefined);
+  }
+});
+
+test('saved posts and testimonials commit the variants and a srcset, and deletes remove them', async () => {
+  fs.mkdirSync(path.join(root, 'img/programs'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'img/programs/blog_squats.jpg'), 'old upload with GPS');
+
+  const post = await savePost({
+    title: '深蹲入門',
+    date: '2024-05-01',
+    slug: 'squats',
+    excerpt: '三個重點',
+    content: '內文',
+    image: upload(await phonePhoto()),
+  });
+  const markdown = fs.readFileSync(path.join(root, post.postPath), 'utf8');
+  const frontMatter = YAML.parse(markdown.split('---')[1]);
+  assert.equal(frontMatter.image, '/img/programs/blog_squats.900w.jpg');
+  assert.equal(frontMatter.image_srcset.webp, '/img/programs/blog_squats.480w.webp 480w, /img/programs/blog_squats.800w.webp 800w, /img/programs/blog_squats.900w.webp 900w');
+  assert.deepEqual(fs.readdirSync(path.join(root, 'img/programs')).sort(), [
+    'blog_squats.480w.jpg', 'blog_squats.480w.webp', 'blog_squats.800w.jpg', 'blog_squats.800w.webp', 'blog_squats.900w.jpg', 'blog_squats.900w.webp',
+  ], 'the earlier upload for the slug is replaced');
+
+  await savePost({ title: '深蹲入門（更新）', date: '2024-05-01', slug: 'squats', excerpt: '三個重點', content: '內文', original_path: post.postPath });
+  assert.match(fs.readFileSync(path.join(root, post.postPath), 'utf8'), /image_srcset:\n {2}webp: .+\n {2}jpeg: .+\n/, 'kept without a new upload');
+  await deletePost(post.postPath);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'img/programs')), []);
+
+  const saved = await saveTestimonial({ name: 'Amy', category: '減重', content: '謝謝', image: upload(await phonePhoto()) });
+  const [entry] = YAML.parse(fs.readFileSync(path.join(root, '_data/testimonials.yml'), 'utf8'));
+  assert.equal(entry.image, '/img/testimonials/Amy.360w.jpg');
+  assert.equal(entry.image_srcset.jpeg, '/img/testimonials/Amy.120w.jpg 120w, /img/testimonials/Amy.240w.jpg 240w, /img/testimonials/Amy.360w.jpg 360w');
+  assert.equal(fs.readdirSync(path.join(root, 'img/testimonials')).length, 6);
+  await deleteTestimonial(saved.id);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'img/testimonials')), []);
+});
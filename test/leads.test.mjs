@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import { createMemoryStore, getDataStore, setDataStore } from '../api/data-store.js';
+import { bookings } from '../api/routes.js';
+import { call, sessionFor } from './helpers.mjs';
+
+process.env.GOOGLE_CLIENT_ID = 'client-id.apps.googleusercontent.com';
+process.env.EDITOR_ALLOWED_EMAILS = 'owner@example.com';
+process.env.EDITOR_SESSION_SECRET = 'test-secret';
+
+const owner = () => sessionFor('owner@example.com');
+
+beforeEach(async () => {
+  setDataStore(createMemoryStore());
+  const store = getDataStore();
+  // Stored before lead management existed: no status or history yet
+  await store.insert('bookings', { id: 'old', name: 'Amy Chen', phone: '0911111111', goal: '減肥', contact_time: '早上(8~12點)', created_at: '2026-02-28T03:00:00.000Z' });
+  await store.insert('bookings', { id: 'late', name: '王小明', phone: '0922222222', line_id: 'ming_88', goal: '健康', contact_time: '晚上(19~22點)', status: 'contacted', status_history: [], created_at: '2026-03-01T17:30:00.000Z' });
+  await store.insert('bookings', { id: 'new', name: '陳小華', phone: '0933333333', email: 'Hua@Example.com', goal: '健康', contact_time: '早上(8~12點)', status: 'new', status_history: [], created_at: '2026-03-02T09:00:00.000Z' });
+});
+
+async function list(query) {
+  const res = await call(bookings, { cookie: owner(), query });
+  assert.equal(res.statusCode, 200);
+  return res.body.bookings.map(booking => booking.id);
+}
+
+test('leads are listed newest first and older records read as new with no history', async () => {
+  const res = await call(bookings, { cookie: owner() });
+  assert.deepEqual(res.body.bookings.map(booking => booking.id), ['new', 'late', 'old']);
+  const old = res.body.bookings[2];
+  assert.equal(old.status, 'new');
+  assert.deepEqual(old.status_history, []);
+});
+
+test('leads filter by status, goal, contact time, search text and Taipei date range', async () => {
+  assert.deepEqual(await list({ status: 'new' }), ['new', 'old']);
+  assert.deepEqual(await list({ goal: '健康' }), ['new', 'late']);
+  assert.deepEqual(await list({ contact_time: '早上(8~12點)', goal: '減肥' }), ['old']);
+
+  assert.deepEqual(await list({ q: 'amy' }), ['old'], 'names match without case');
+  assert.deepEqual(await list({ q: '0922' }), ['late']);
+  assert.deepEqual(await list({ q: 'MING_' }), ['late'], 'LINE id');
+  assert.deepEqual(await list({ q: 'hua@example' }), ['new'], 'email');
+
+  // 2026-03-01T17:30Z is already 3/2 in Taipei
+  assert.deepEqual(await list({ from: '2026-03-02' }), ['new', 'late']);
+  assert.deepEqual(await list({ to: '2026-03-01' }), ['old']);
+  assert.deepEqual(await list({ from: '2026-03-02', to: '2026-03-02', status: 'contacted' }), ['late']);
+});
+
+test('status changes keep a history of who changed what, with an optional note', async () => {
+  const first = await call(bookings, { method: 'PATCH', cookie: owner(), query: { id: 'old' }, body: { status: 'contacted', note: '<b>已電話</b>聯絡' } });
+  assert.equal(first.statusCode, 200);
+  const second = await call(bookings, { method: 'PATCH', cookie: owner(), body: { id: 'old', status: 'trial_booked' } });
+  const lead = second.body.booking;
+
+  assert.equal(lead.status, 'trial_booked');
+  assert.equal(lead.updated_by, 'owner@example.com');
+  assert.deepEqual(lead.status_history.map(({ at, ...change }) => change), [
+    { status: 'contacted', from: 'new', by: 'owner@example.com', note: '已電話聯絡' },
+    { status: 'trial_booked', from: 'contacted', by: 'owner@example.com' },
+  ]);
+  assert.ok(lead.status_history.every(change => !Number.isNaN(Date.parse(change.at))));
+  assert.deepEqual(await list({ status: 'trial_booked' }), ['old']);
+});
+
+test('status updates are refused for unknown statuses and leads', async () => {
+  const invalid = await call(bookings, { method: 'PATCH', cookie: owner(), query: { id: 'old' }, body: { status: 'won' } });
+  assert.equal(invalid.statusCode, 400);
+  assert.match(invalid.body.error, /new, contacted, trial_booked, converted, lost/);
+  assert.equal((await call(bookings, { method: 'PATCH', cookie: owner(), query: { id: 'nope' }, body: { status: 'lost' } })).statusCode, 404);
+  assert.equal((await call(bookings, { method: 'PATCH', cookie: owner(), body: { status: 'lost' } })).statusCode, 400);
+  assert.equal((await getDataStore().get('bookings', 'old')).status, undefined, 'nothing was written');
+});
+
+test('two editors changing the same lead at once: one wins, the other gets a 409', async () => {
+  const [a, b] = await Promise.all([
+    call(bookings, { method: 'PATCH', cookie: owner(), query: { id: 'new' }, body: { status: 'contacted' } }),
+    call(bookings, { method: 'PATCH', cookie: owner(), query: { id: 'new' }, body: { status: 'lost' } }),
+  ]);
+  assert.deepEqual([a.statusCode, b.statusCode].sort(), [200, 409]);
+  const winner = a.statusCode === 200 ? a : b;
+  const lead = await getDataStore().get('bookings', 'new');
+  assert.equal(lead.status, winner.body.booking.status);
+  assert.deepEqual(lead.status_history.map(change => change.status), [lead.status], 'the losing change is not recorded');
+});
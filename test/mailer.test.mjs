@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { createOutboxTransport, listOutbox, sendMail, setMailTransport } from '../api/mailer.js';
+
+test('outbox transport writes messages that listOutbox returns newest first', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+  try {
+    setMailTransport(createOutboxTransport({ dir }));
+    const first = await sendMail({ to: 'studio@example.com', subject: '第一封', text: 'one' });
+    const second = await sendMail({ to: 'amy@example.com', subject: '第二封', text: 'two', html: '<p>two</p>', replyTo: 'studio@example.com' });
+
+    const messages = await listOutbox(dir);
+    assert.deepEqual(messages.map(message => message.id), [second.id, first.id]);
+    assert.equal(messages[0].html, '<p>two</p>');
+    assert.equal(messages[0].replyTo, 'studio@example.com');
+    assert.ok(messages[0].from);
+  } finally {
+    setMailTransport(null);
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('listOutbox returns nothing before the first message', async () => {
+  assert.deepEqual(await listOutbox(path.join(os.tmpdir(), 'missing-outbox-dir')), []);
+});
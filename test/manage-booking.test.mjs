@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+
+process.env.SITE_URL = 'https://example.com';
+process.env.SIGNED_LINK_SECRET = 'test-secret';
+
+const { listFreeSlots } = await import('../api/availability-service.js');
+const { cancelFromLink, getManagedBooking, rescheduleFromLink, submitBooking } = await import('../api/booking-service.js');
+const { createMemoryStore, getDataStore, setDataStore } = await import('../api/data-store.js');
+const { setMailTransport } = await import('../api/mailer.js');
+const { setNotificationChannels } = await import('../api/notifications.js');
+const { createSignedToken, verifySignedToken } = await import('../api/signed-links.js');
+const { useTestAvailability } = await import('./helpers.mjs');
+
+useTestAvailability();
+
+let sent;
+let notified;
+
+beforeEach(() => {
+  setDataStore(createMemoryStore());
+  sent = [];
+  notified = [];
+  setMailTransport({
+    name: 'capture',
+    async send(message) {
+      sent.push(message);
+      return { id: String(sent.length) };
+    },
+  });
+  setNotificationChannels([{ name: 'capture', async send(message) { notified.push(message); } }]);
+});
+
+async function bookFirstFreeSlot() {
+  const to = new Date(Date.now() + 13 * 86400000).toISOString().slice(0, 10);
+  const { slots } = await listFreeSlots({ trainerId: 'roubao', to });
+  await submitBooking({
+    name: '王小明',
+    phone: '0912345678',
+    email: 'amy@example.com',
+    goal: '健康',
+    slot_start: slots[0].start,
+    trainer_id: 'roubao',
+  });
+  const confirmation = sent.find(message => message.subject.startsWith('預約確認'));
+  const token = /manage-booking\.html\?token=([\w.-]+)/.exec(confirmation.text)[1];
+  notified.length = 0; // drop the booking.created notification
+  return { token, slots };
+}
+
+test('signed tokens reject tampering, other purposes and expiry', () => {
+  const expiresAt = Date.now() + 60000;
+  const token = createSignedToken('manage-booking', { id: 'abc' }, { expiresAt });
+  assert.deepEqual(verifySignedToken('manage-booking', token), { id: 'abc' });
+
+  const [payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ p: 'manage-booking', d: { id: 'xyz' }, e: Math.floor(expiresAt / 1000) })).toString('base64url');
+  assert.throws(() => verifySignedToken('manage-booking', `${forged}.${signature}`), { status: 404 });
+  assert.throws(() => verifySignedToken('waitlist-claim', token), { status: 404 });
+  assert.throws(() => verifySignedToken('manage-booking', payload), { status: 404 });
+  assert.throws(() => verifySignedToken('manage-booking', token, { now: expiresAt + 1000 }), { status: 410 });
+});
+
+test('the confirmation email links to the manage page for the booking', async () => {
+  const { token, slots } = await bookFirstFreeSlot();
+  const booking = await getManagedBooking(token);
+  assert.equal(booking.name, '王小明');
+  assert.equal(booking.session.start, slots[0].start);
+  assert.equal(booking.can_change, true);
+  assert.equal(booking.phone, undefined);
+});
+
+test('customers can reschedule and cancel, and staff hear about each change', async () => {
+  const { token, slots } = await bookFirstFreeSlot();
+
+  await rescheduleFromLink(token, { slot_start: slots[1].start, trainer_id: 'roubao' });
+  assert.equal((await getManagedBooking(token)).session.start, slots[1].start);
+  assert.equal(notified.length, 1);
+  assert.equal(notified[0].type, 'booking.rescheduled');
+  assert.ok(notified[0].text.includes('原本的時段'));
+
+  await assert.rejects(cancelFromLink(token, { reason: '' }), { status: 400 });
+  await cancelFromLink(token, { reason: '臨時有事' });
+  assert.equal(notified[1].type, 'booking.cancelled');
+  assert.ok(notified[1].text.includes('臨時有事'));
+  assert.equal((await getManagedBooking(token)).cancelled, true);
+  await assert.rejects(cancelFromLink(token, { reason: '再取消一次' }), { status: 409 });
+});
+
+test('changes close inside the cutoff', async () => {
+  const soon = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+  await getDataStore().insert('bookings', {
+    id: 'soon',
+    name: '王小明',
+    slot_start: soon,
+    slot_end: soon,
+    trainer_id: 'roubao',
+    trainer_name: '肉包',
+  });
+  const token = createSignedToken('manage-booking', { id: 'soon' }, { expiresAt: Date.parse(soon) });
+
+  assert.equal((await getManagedBooking(token)).can_change, false);
+  await assert.rejects(cancelFromLink(token, { reason: '臨時有事' }), { status: 403 });
+  assert.equal(notified.length, 0);
+});
@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import YAML from 'yaml';
+import { listAuditLog } from '../api/audit-service.js';
+import { deletePost, savePost } from '../api/content-service.js';
+import { createLocalStorage, setContentStorage } from '../api/content-storage.js';
+import { createMemoryStore, setDataStore } from '../api/data-store.js';
+import { saveEditor } from '../api/editor-roles.js';
+import { groupImageFiles } from '../api/image-pipeline.js';
+import { listMedia } from '../api/media-service.js';
+import { media } from '../api/routes.js';
+import { call, sessionFor } from './helpers.mjs';
+
+process.env.GOOGLE_CLIENT_ID = 'client-id.apps.googleusercontent.com';
+process.env.EDITOR_ALLOWED_EMAILS = 'owner@example.com';
+process.env.EDITOR_SESSION_SECRET = 'test-secret';
+
+let root;
+
+function write(filePath, content) {
+  fs.mkdirSync(path.dirname(path.join(root, filePath)), { recursive: true });
+  fs.writeFileSync(path.join(root, filePath), content);
+}
+
+function variants(base, widths) {
+  for (const width of widths) {
+    write(`${base}.${width}w.webp`, `webp ${width}`);
+    write(`${base}.${width}w.jpg`, `jpeg ${width}`);
+  }
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'media-library-'));
+  setContentStorage(createLocalStorage({ root }));
+  setDataStore(createMemoryStore());
+
+  variants('img/programs/blog_squats', [480, 800]);
+  variants('img/programs/blog_unused', [480]);
+  write('img/programs/business1.jpg', 'page photo');
+  write('img/programs/notes.txt', 'not an image');
+  write('img/testimonials/default.jpg', 'placeholder');
+  write('img/testimonials/Amy.120w.jpg', 'amy');
+  write('_posts/2024-05-01-squats.md', [
+    '---',
+    'layout: post',
+    'title: 深蹲入門',
+    'date: 2024-05-01',
+    'image: /img/programs/blog_squats.800w.jpg',
+    'image_srcset:',
+    '  webp: /img/programs/blog_squats.480w.webp 480w, /img/programs/blog_squats.800w.webp 800w',
+    '  jpeg: /img/programs/blog_squats.480w.jpg 480w, /img/programs/blog_squats.800w.jpg 800w',
+    'excerpt: 三個重點',
+    'permalink: /blog/squats.html',
+    '---',
+    '',
+    '內文',
+    '',
+  ].join('\n'));
+  write('_data/testimonials.yml', YAML.stringify([{ id: 't-amy', name: 'Amy', image: '/img/testimonials/Amy.120w.jpg', category: '減重', content: '謝謝' }]));
+  write('_pages/programmes.html', '<img src="{{ \'/img/programs/business1.jpg\' | relative_url }}" alt="企業課程">');
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('pipeline variants are grouped into one image with the srcset the site templates use', () => {
+  const [squats, legacy] = groupImageFiles([
+    { name: 'blog_squats.800w.jpg', path: 'img/programs/blog_squats.800w.jpg' },
+    { name: 'blog_squats.480w.webp', path: 'img/programs/blog_squats.480w.webp' },
+    { name: 'blog_squats.480w.jpg', path: 'img/programs/blog_squats.480w.jpg' },
+    { name: 'blog_squats.jpg', path: 'img/programs/blog_squats.jpg' },
+    { name: 'README.md', path: 'img/programs/README.md' },
+  ]);
+  assert.equal(squats.id, 'img/programs/blog_squats');
+  assert.equal(squats.image, '/img/programs/blog_squats.800w.jpg');
+  assert.deepEqual(squats.srcset, {
+    webp: '/img/programs/blog_squats.480w.webp 480w',
+    jpeg: '/img/programs/blog_squats.480w.jpg 480w, /img/programs/blog_squats.800w.jpg 800w',
+  });
+  assert.deepEqual(legacy, { id: 'img/programs/blog_squats.jpg', image: '/img/programs/blog_squats.jpg', srcset: null, files: [{ name: 'blog_squats.jpg', path: 'img/programs/blog_squats.jpg' }] });
+});
+
+test('the library lists each image with the posts, testimonials and pages that show it', async () => {
+  const images = await listMedia();
+  const byId = Object.fromEntries(images.map(image => [image.id, image]));
+  assert.deepEqual(Object.keys(byId), [
+    'img/programs/blog_squats', 'img/programs/blog_unused', 'img/programs/business1.jpg',
+    'img/testimonials/Amy', 'img/testimonials/default.jpg',
+  ]);
+  assert.equal(byId['img/programs/blog_squats'].thumbnail, '/img/programs/blog_squats.480w.jpg');
+  assert.equal(byId['img/programs/blog_squats'].files.length, 4);
+  assert.deepEqual(byId['img/programs/blog_squats'].references, [{ type: 'post', label: '深蹲入門', path: '_posts/2024-05-01-squats.md' }]);
+  assert.deepEqual(byId['img/programs/business1.jpg'].references, [{ type: 'page', label: '_pages/programmes.html', path: '_pages/programmes.html' }]);
+  assert.deepEqual(byId['img/testimonials/Amy'].references, [{ type: 'testimonial', label: 'Amy', id: 't-amy' }]);
+  assert.equal(byId['img/testimonials/default.jpg'].references[0].type, 'default');
+  assert.deepEqual(byId['img/programs/blog_unused'].references, []);
+});
+
+test('a post can reuse a library image, which then outlives the post that uploaded it', async () => {
+  await assert.rejects(
+    savePost({ title: '肩推', date: '2024-06-01', slug: 'press', excerpt: '重點', content: '內文', image_path: '/img/programs/missing.jpg' }),
+    { status: 400, message: /Image not found/ },
+  );
+
+  const saved = await savePost({ title: '肩推', date: '2024-06-01', slug: 'press', excerpt: '重點', content: '內文', image_path: '/img/programs/blog_squats.480w.jpg' });
+  assert.equal(saved.image, '/img/programs/blog_squats.800w.jpg');
+  const frontMatter = YAML.parse(fs.readFileSync(path.join(root, saved.postPath), 'utf8').split('---')[1]);
+  assert.equal(frontMatter.image_srcset.jpeg, '/img/programs/blog_squats.480w.jpg 480w, /img/programs/blog_squats.800w.jpg 800w');
+
+  await deletePost('_posts/2024-05-01-squats.md');
+  assert.equal(fs.readdirSync(path.join(root, 'img/programs')).filter(name => name.startsWith('blog_squats')).length, 4, 'still shown by the press post');
+  const squats = (await listMedia()).find(image => image.id === 'img/programs/blog_squats');
+  assert.deepEqual(squats.references.map(reference => reference.path), [saved.postPath]);
+});
+
+test('editors set alt text and delete only unreferenced images; both are audited', async () => {
+  const owner = sessionFor('owner@example.com');
+  const listed = await call(media, { cookie: owner });
+  assert.equal(listed.statusCode, 200);
+  assert.equal(listed.body.images.length, 5);
+
+  const alt = await call(media, { method: 'POST', cookie: owner, body: { image: '/img/programs/blog_unused.480w.jpg', alt: '  深蹲 示範 ' } });
+  assert.equal(alt.statusCode, 200);
+  assert.deepEqual(YAML.parse(fs.readFileSync(path.join(root, '_data/media.yml'), 'utf8')), { '/img/programs/blog_unused.480w.jpg': { alt: '深蹲 示範' } });
+  assert.equal((await call(media, { method: 'POST', cookie: owner, body: { image: '/img/programs/nope.jpg', alt: 'x' } })).statusCode, 404);
+
+  const inUse = await call(media, { method: 'DELETE', cookie: owner, query: { id: 'img/programs/blog_squats' } });
+  assert.equal(inUse.statusCode, 409);
+  assert.match(inUse.body.error, /深蹲入門/);
+  assert.equal((await call(media, { method: 'DELETE', cookie: owner, query: { id: 'img/testimonials/default.jpg' } })).statusCode, 409);
+
+  await saveEditor({ email: 'writer@example.com', role: 'contributor' }, 'owner@example.com');
+  const refused = await call(media, { method: 'DELETE', cookie: sessionFor('writer@example.com'), query: { id: 'img/programs/blog_unused' } });
+  assert.equal(refused.statusCode, 403);
+
+  const removed = await call(media, { method: 'DELETE', cookie: owner, query: { id: 'img/programs/blog_unused' } });
+  assert.equal(removed.statusCode, 200);
+  assert.deepEqual(removed.body.removed.sort(), ['img/programs/blog_unused.480w.jpg', 'img/programs/blog_unused.480w.webp']);
+  assert.ok(!fs.existsSync(path.join(root, 'img/programs/blog_unused.480w.jpg')));
+  assert.match(fs.readFileSync(path.join(root, '_data/media.yml'), 'utf8'), /\{\}\n$/, 'its alt text goes with it');
+
+  const { entries } = await listAuditLog({ action: 'content.media' });
+  assert.deepEqual(entries.map(entry => entry.action), ['content.media.delete', 'content.media.alt']);
+  assert.deepEqual(entries[1].diff, [{ field: 'alt', before: '', after: '深蹲 示範' }]);
+});
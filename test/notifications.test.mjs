@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  createEmailChannel,
+  createLineChannel,
+  createStubTransport,
+  createWebhookChannel,
+  dispatchNotification,
+} from '../api/notifications.js';
+
+const BOOKING_EVENT = {
+  booking: { name: '王小明', phone: '0912345678', email: 'ming@example.com', contact_time: '晚上(19~22點)', goal: '健康' },
+  line_id: '未提供',
+  email: 'ming@example.com',
+  contact_slot: '晚上 (19~22點)',
+  submitted_at: '2026/3/2 下午8:15:00',
+};
+
+function recordSleep() {
+  const waits = [];
+  const sleep = async ms => { waits.push(ms); };
+  sleep.waits = waits;
+  return sleep;
+}
+
+test('LINE channel pushes the text part to every recipient', async () => {
+  const transport = createStubTransport();
+  const line = createLineChannel({ token: 'line-token', to: 'U1, C2', transport });
+  const [result] = await dispatchNotification('booking.created', BOOKING_EVENT, { channels: [line], sleep: recordSleep() });
+
+  assert.deepEqual(result, { channel: 'line', ok: true, attempts: 1 });
+  assert.deepEqual(transport.requests.map(request => request.body.to), ['U1', 'C2']);
+  assert.equal(transport.requests[0].url, 'https://api.line.me/v2/bot/message/push');
+  assert.equal(transport.requests[0].headers.Authorization, 'Bearer line-token');
+  assert.equal(transport.requests[0].body.messages[0].type, 'text');
+  assert.match(transport.requests[0].body.messages[0].text, /姓名: 王小明/);
+});
+
+test('webhook channel posts Slack-style text or the full JSON event', async () => {
+  const slackTransport = createStubTransport();
+  const jsonTransport = createStubTransport();
+  const channels = [
+    createWebhookChannel({ urls: 'https://hooks.example.com/slack', transport: slackTransport }),
+    createWebhookChannel({ urls: ['https://script.example.com/exec'], format: 'json', transport: jsonTransport }),
+  ];
+  await dispatchNotification('booking.created', BOOKING_EVENT, { channels, sleep: recordSleep() });
+
+  assert.deepEqual(Object.keys(slackTransport.requests[0].body), ['text']);
+  const payload = jsonTransport.requests[0].body;
+  assert.equal(payload.event, 'booking.created');
+  assert.equal(payload.data.booking.phone, '0912345678');
+  assert.equal(payload.subject, '新預約表單 - DUO FITNESS');
+});
+
+test('failed channels are retried with backoff from the config', async () => {
+  const transport = createStubTransport({ failures: 2, status: 503 });
+  const sleep = recordSleep();
+  const webhook = createWebhookChannel({ urls: 'https://hooks.example.com/a', transport });
+  const [result] = await dispatchNotification('booking.created', BOOKING_EVENT, { channels: [webhook], sleep });
+
+  assert.deepEqual(result, { channel: 'webhook', ok: true, attempts: 3 });
+  assert.deepEqual(sleep.waits, [500, 1000]);
+});
+
+test('retries only go to the recipients that have not been reached', async () => {
+  const transport = createStubTransport({ status: 503, failWhen: (request, index) => index === 1 });
+  const line = createLineChannel({ token: 'line-token', to: 'U1, C2, C3', transport });
+  const [result] = await dispatchNotification('booking.created', BOOKING_EVENT, { channels: [line], sleep: recordSleep() });
+
+  assert.deepEqual(result, { channel: 'line', ok: true, attempts: 2 });
+  assert.deepEqual(transport.requests.map(request => request.body.to), ['U1', 'C2', 'C2', 'C3']);
+  const keys = transport.requests.map(request => request.headers['X-Line-Retry-Key']);
+  assert.equal(keys[1], keys[2], 'a retried push keeps its retry key');
+  assert.equal(new Set(keys).size, 3);
+
+  const hooks = createStubTransport({ status: 502, failWhen: (request, index) => index === 1 });
+  const webhook = createWebhookChannel({ urls: 'https://hooks.example.com/a, https://hooks.example.com/b', transport: hooks });
+  await dispatchNotification('booking.created', BOOKING_EVENT, { channels: [webhook], sleep: recordSleep() });
+  assert.deepEqual(hooks.requests.map(request => request.url), ['https://hooks.example.com/a', 'https://hooks.example.com/b', 'https://hooks.example.com/b']);
+});
+
+test('a LINE push already accepted under its retry key counts as delivered', async () => {
+  const transport = createStubTransport({ status: 409, failWhen: (request, index) => index === 0 });
+  const line = createLineChannel({ token: 'line-token', to: 'U1, C2', transport });
+  const [result] = await dispatchNotification('booking.created', BOOKING_EVENT, { channels: [line], sleep: recordSleep() });
+
+  assert.deepEqual(result, { channel: 'line', ok: true, attempts: 1 });
+  assert.deepEqual(transport.requests.map(request => request.body.to), ['U1', 'C2']);
+});
+
+test('client errors are not retried and do not stop the other channels', async () => {
+  const failing = createStubTransport({ failures: 5, status: 400 });
+  const sent = [];
+  const channels = [
+    createWebhookChannel({ urls: 'https://hooks.example.com/broken', transport: failing }),
+    createEmailChannel({ to: 'studio@example.com', send: async message => { sent.push(message); } }),
+  ];
+  const sleep = recordSleep();
+  const results = await dispatchNotification('booking.created', BOOKING_EVENT, { channels, sleep });
+
+  assert.equal(results[0].ok, false);
+  assert.equal(results[0].attempts, 1);
+  assert.match(results[0].error, /responded 400/);
+  assert.deepEqual(sleep.waits, []);
+  assert.deepEqual(results[1], { channel: 'email', ok: true, attempts: 1 });
+  assert.equal(sent[0].to, 'studio@example.com');
+  assert.equal(sent[0].replyTo, 'ming@example.com');
+  assert.match(sent[0].html, /<h2/);
+});
+
+test('channels missing their settings fail without being retried forever', async () => {
+  const sleep = recordSleep();
+  const [result] = await dispatchNotification('booking.created', BOOKING_EVENT, {
+    channels: [createLineChannel({ token: '', to: '', transport: createStubTransport() })],
+    sleep,
+  });
+  assert.equal(result.ok, false);
+  assert.match(result.error, /LINE_CHANNEL_ACCESS_TOKEN/);
+  assert.equal(result.attempts, 1);
+});
+
+test('unknown events are rejected', async () => {
+  await assert.rejects(dispatchNotification('booking.deleted', {}, { channels: [] }), /Unknown notification event/);
+});
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import sharp from 'sharp';
+import YAML from 'yaml';
+import { deletePost, getPost, listPosts, savePost } from '../api/content-service.js';
+import { createLocalStorage, setContentStorage } from '../api/content-storage.js';
+
+let root;
+
+function write(filePath, content) {
+  fs.mkdirSync(path.dirname(path.join(root, filePath)), { recursive: true });
+  fs.writeFileSync(path.join(root, filePath), content);
+}
+
+function exists(filePath) {
+  return fs.existsSync(path.join(root, filePath));
+}
+
+function queue() {
+  return YAML.parse(fs.readFileSync(path.join(root, '_data/publish-queue.yml'), 'utf8'));
+}
+
+function post(slug, date, image) {
+  return [
+    '---',
+    'layout: post',
+    'title: ' + slug,
+    'date: ' + date,
+    ...(image ? ['image: ' + image] : []),
+    'excerpt: 重點',
+    'permalink: /blog/' + slug + '.html',
+    '---',
+    '',
+    '內文',
+    '',
+  ].join('\n');
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'posts-'));
+  setContentStorage(createLocalStorage({ root }));
+  write('_posts/2024-05-01-squats.md', post('squats', '2024-05-01', '/img/programs/blog_squats.800w.jpg'));
+  write('img/programs/blog_squats.800w.jpg', 'squats');
+  write('img/programs/blog_squats.480w.webp', 'squats');
+  write('img/programs/blog_squats.jpg', 'upload from before the image pipeline');
+  write('img/programs/blog_squats-2.jpg', 'another post');
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('saving with a new date and slug moves the post and keeps its image', async () => {
+  const saved = await savePost({ title: '腿部訓練', date: '2024-06-01', slug: 'Leg Day', excerpt: '重點', content: '新內文', original_path: '_posts/2024-05-01-squats.md' });
+
+  assert.equal(saved.postPath, '_posts/2024-06-01-leg-day.md');
+  assert.equal(saved.url, '/blog/leg-day.html');
+  assert.equal(exists('_posts/2024-05-01-squats.md'), false);
+  const moved = await getPost(saved.postPath);
+  assert.equal(moved.slug, 'leg-day');
+  assert.equal(moved.content, '新內文');
+  assert.equal(moved.image, '/img/programs/blog_squats.800w.jpg');
+  assert.equal(moved.sha, saved.sha);
+  assert.ok(exists('img/programs/blog_squats.800w.jpg'), 'the image is still shown, by the moved post');
+  assert.deepEqual(saved.diff.map(change => change.field), ['path', 'title', 'date', 'content']);
+  assert.deepEqual((await listPosts()).map(entry => entry.path), [saved.postPath]);
+});
+
+test('moving a scheduled post moves its publish queue entry too', async () => {
+  const scheduled = await savePost({ title: '新年', date: '2099-01-01', time: '09:00', slug: 'new-year', excerpt: '重點', content: '內文' });
+  assert.equal(scheduled.scheduled, true);
+  assert.deepEqual(queue().map(entry => entry.path), ['_posts/2099-01-01-new-year.md']);
+
+  const moved = await savePost({ title: '新年', date: '2099-01-02', time: '10:30', slug: 'new-year', excerpt: '重點', content: '內文', original_path: scheduled.postPath });
+  assert.deepEqual(queue(), [{ path: moved.postPath, slug: 'new-year', title: '新年', publish_at: '2099-01-02T02:30:00.000Z' }]);
+  assert.equal(exists(scheduled.postPath), false);
+
+  await savePost({ title: '新年', date: '2024-01-02', slug: 'new-year', excerpt: '重點', content: '內文', original_path: moved.postPath });
+  assert.deepEqual(queue(), [], 'moved into the past, it is no longer waiting');
+});
+
+test('a post is not moved onto another post', async () => {
+  write('_posts/2024-06-01-leg-day.md', post('leg-day', '2024-06-01'));
+  await assert.rejects(
+    savePost({ title: '腿部訓練', date: '2024-06-01', slug: 'leg-day', excerpt: '重點', content: '新內文', original_path: '_posts/2024-05-01-squats.md' }),
+    err => err.status === 409 && err.conflict.reason === 'exists' && err.conflict.current.path === '_posts/2024-06-01-leg-day.md',
+  );
+  assert.ok(exists('_posts/2024-05-01-squats.md'));
+  assert.equal(fs.readFileSync(path.join(root, '_posts/2024-06-01-leg-day.md'), 'utf8'), post('leg-day', '2024-06-01'));
+});
+
+test('a new image under a new slug replaces the images of the old one', async () => {
+  const photo = await sharp({ create: { width: 600, height: 400, channels: 3, background: '#c0a060' } }).png().toBuffer();
+  const image = { data: photo.toString('base64') };
+  const saved = await savePost({ title: '腿部訓練', date: '2024-05-01', slug: 'leg-day', excerpt: '重點', content: '內文', image, original_path: '_posts/2024-05-01-squats.md' });
+
+  assert.equal((await getPost(saved.postPath)).image, '/img/programs/blog_leg-day.600w.jpg');
+  assert.deepEqual(fs.readdirSync(path.join(root, 'img/programs')).sort(), [
+    'blog_leg-day.480w.jpg',
+    'blog_leg-day.480w.webp',
+    'blog_leg-day.600w.jpg',
+    'blog_leg-day.600w.webp',
+    'blog_squats-2.jpg',
+  ]);
+});
+
+test('deleting a post removes its images and queue entry but keeps images other posts show', async () => {
+  write('_posts/2024-05-02-lunges.md', post('lunges', '2024-05-02', '/img/programs/blog_squats.480w.webp'));
+  write('_posts/2099-01-01-new-year.md', post('new-year', '2099-01-01'));
+  write('_data/publish-queue.yml', YAML.stringify([
+    { path: '_posts/2099-01-01-new-year.md', slug: 'new-year', title: '新年', publish_at: '2098-12-31T16:00:00.000Z' },
+  ]));
+
+  const removed = await deletePost('_posts/2024-05-01-squats.md');
+  assert.deepEqual(removed.removedImages.sort(), ['img/programs/blog_squats.800w.jpg', 'img/programs/blog_squats.jpg']);
+  assert.equal(exists('_posts/2024-05-01-squats.md'), false);
+  assert.ok(exists('img/programs/blog_squats.480w.webp'), 'the lunges post still shows it');
+  assert.ok(exists('img/programs/blog_squats-2.jpg'));
+  assert.deepEqual(removed.diff.find(change => change.field === 'title'), { field: 'title', before: 'squats', after: '' });
+
+  await deletePost('_posts/2099-01-01-new-year.md');
+  assert.deepEqual(queue(), []);
+  assert.deepEqual((await listPosts()).map(entry => entry.slug), ['lunges']);
+});
+
+test('deleting a missing post or a path outside _posts is refused', async () => {
+  await assert.rejects(deletePost('_posts/2024-05-09-missing.md'), { status: 404 });
+  await assert.rejects(deletePost('_data/testimonials.yml'), { status: 400 });
+  await assert.rejects(deletePost('_posts/../_config.md'), { status: 400 });
+  assert.ok(exists('_posts/2024-05-01-squats.md'));
+});
@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, test } from 'node:test';
+import { createMemoryStore, getDataStore, setDataStore } from '../api/data-store.js';
+import { setMailTransport } from '../api/mailer.js';
+import { setNotificationChannels } from '../api/notifications.js';
+import { clientIp, createMemoryRateLimitStore, setRateLimitStore } from '../api/rate-limit.js';
+import { booking } from '../api/routes.js';
+import { call } from './helpers.mjs';
+
+const env = { ...process.env };
+let sent;
+
+beforeEach(() => {
+  setDataStore(createMemoryStore());
+  setRateLimitStore(createMemoryRateLimitStore());
+  setNotificationChannels([]);
+  sent = [];
+  setMailTransport({
+    name: 'capture',
+    async send(message) {
+      sent.push(message);
+      return { id: String(sent.length) };
+    },
+  });
+});
+
+afterEach(() => {
+  for (const name of ['VERCEL', 'TRUSTED_PROXY_HOPS', 'ALLOWED_ORIGINS']) {
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = env[name];
+  }
+});
+
+function lead(phone, extra = {}) {
+  return { name: '王小明', phone, contact_time: '早上(8~12點)', goal: '健康', form_elapsed_ms: 8000, ...extra };
+}
+
+async function bookings() {
+  return getDataStore().list('bookings');
+}
+
+test('X-Forwarded-For is only read from the proxies that are trusted to set it', () => {
+  const req = { headers: { 'x-forwarded-for': '6.6.6.6, 198.51.100.4, 10.0.0.2' }, socket: { remoteAddress: '10.0.0.1' } };
+  assert.equal(clientIp(req), '10.0.0.1', 'no proxy is trusted outside Vercel');
+
+  process.env.VERCEL = '1';
+  assert.equal(clientIp(req), '10.0.0.2', 'Vercel appends the address it saw last');
+
+  process.env.TRUSTED_PROXY_HOPS = '2';
+  assert.equal(clientIp(req), '198.51.100.4');
+  process.env.TRUSTED_PROXY_HOPS = '0';
+  assert.equal(clientIp(req), '10.0.0.1');
+});
+
+test('a forged X-Forwarded-For does not get around the per-IP booking limit', async () => {
+  for (let i = 0; i < 5; i += 1) {
+    const res = await call(booking, { method: 'POST', headers: { 'x-forwarded-for': `6.6.6.${i}` }, body: lead(`091200000${i}`) });
+    assert.equal(res.statusCode, 200);
+  }
+  const limited = await call(booking, { method: 'POST', headers: { 'x-forwarded-for': '6.6.6.9' }, body: lead('0912000009') });
+  assert.equal(limited.statusCode, 429);
+  assert.ok(Number(limited.headers['Retry-After']) > 0);
+  assert.equal((await bookings()).length, 5);
+
+  const other = await call(booking, { method: 'POST', ip: '198.51.100.7', body: lead('0912000009') });
+  assert.equal(other.statusCode, 200, 'other addresses are counted separately');
+});
+
+test('one phone number can book three times a day, however it is written', async () => {
+  const phones = ['0912345678', '0912-345-678', '0912 345 678'];
+  for (const [i, phone] of phones.entries()) {
+    const res = await call(booking, { method: 'POST', ip: `198.51.100.${i}`, body: lead(phone.replace(/\D/g, ''), { phone }) });
+    assert.equal(res.statusCode, 200, phone);
+  }
+  const limited = await call(booking, { method: 'POST', ip: '198.51.100.9', body: lead('0912345678') });
+  assert.equal(limited.statusCode, 429);
+  assert.equal((await bookings()).length, 3);
+});
+
+test('a filled honeypot gets a normal success reply but nothing is stored or sent', async () => {
+  const res = await call(booking, { method: 'POST', body: lead('0912345678', { email: 'bot@example.com', website: 'https://spam.example' }) });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.id, null);
+  assert.deepEqual(await bookings(), []);
+  assert.deepEqual(sent, []);
+});
+
+test('a form sent faster than min_submit_ms is refused', async () => {
+  for (const elapsed of [500, undefined, 'soon']) {
+    const res = await call(booking, { method: 'POST', body: lead('0912345678', { form_elapsed_ms: elapsed }) });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, '送出速度過快，請確認資料後再試一次。');
+  }
+  assert.deepEqual(await bookings(), []);
+});
+
+test('browsers may only call from allowed origins', async () => {
+  process.env.ALLOWED_ORIGINS = 'https://duofitness.tw, https://www.duofitness.tw/';
+  const from = (origin, host = 'api.example.com') => call(booking, { method: 'OPTIONS', headers: { origin, host } });
+
+  const allowed = await from('https://www.duofitness.tw');
+  assert.equal(allowed.statusCode, 200);
+  assert.equal(allowed.headers['Access-Control-Allow-Origin'], 'https://www.duofitness.tw');
+  assert.equal((await from('https://api.example.com')).statusCode, 200, 'same origin');
+  assert.equal((await from('http://localhost:4000')).statusCode, 200, 'local development');
+
+  const refused = await call(booking, { method: 'POST', headers: { origin: 'https://evil.example', host: 'api.example.com' }, body: lead('0912345678') });
+  assert.equal(refused.statusCode, 403);
+  assert.deepEqual(await bookings(), []);
+
+  process.env.VERCEL = '1';
+  assert.equal((await from('http://localhost:4000')).statusCode, 403, 'localhost is refused on Vercel');
+  assert.equal((await from('https://duofitness.tw')).statusCode, 200);
+});
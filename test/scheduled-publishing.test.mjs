@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import YAML from 'yaml';
+import { listPosts, publishScheduledPosts, savePost } from '../api/content-service.js';
+import { createLocalStorage, setContentStorage } from '../api/content-storage.js';
+import { createOutboxTransport, listOutbox, setMailTransport } from '../api/mailer.js';
+import { publishScheduled } from '../api/routes.js';
+import { call } from './helpers.mjs';
+
+const brand = YAML.parse(fs.readFileSync(new URL('../_data/brand.yml', import.meta.url), 'utf8'));
+const env = { ...process.env };
+const realFetch = globalThis.fetch;
+const POST = { title: '新年計畫', slug: 'new-year', excerpt: '重點', content: '內文' };
+let root;
+let outbox;
+
+function read(filePath) {
+  return fs.readFileSync(path.join(root, filePath), 'utf8');
+}
+
+function queue() {
+  return YAML.parse(read('_data/publish-queue.yml'));
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduled-'));
+  outbox = path.join(root, '.outbox');
+  setContentStorage(createLocalStorage({ root }));
+  setMailTransport(createOutboxTransport({ dir: outbox }));
+  delete process.env.NOTIFY_EMAIL_TO;
+  process.env.SITE_URL = 'https://example.com';
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  for (const name of ['CRON_SECRET', 'VERCEL_DEPLOY_HOOK_URL', 'NOTIFY_EMAIL_TO', 'SITE_URL']) {
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = env[name];
+  }
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('a post dated in the future is queued with its publish time in Taipei time', async () => {
+  const saved = await savePost({ ...POST, date: '2099-01-01', time: '09:00' });
+  assert.equal(saved.scheduled, true);
+  assert.equal(saved.publish_at, '2099-01-01T01:00:00.000Z');
+  assert.equal(saved.message, '文章已排程，將於 2099-01-01 09:00（台北時間）自動發布。');
+  assert.match(read(saved.postPath), /^date: 2099-01-01 09:00:00 \+0800$/m);
+  assert.deepEqual(queue(), [{ path: saved.postPath, slug: 'new-year', title: '新年計畫', publish_at: '2099-01-01T01:00:00.000Z' }]);
+
+  const [listed] = await listPosts();
+  assert.equal(listed.scheduled, true);
+  assert.equal(listed.time, '09:00');
+
+  const earlier = await savePost({ ...POST, slug: 'spring', date: '2098-03-01' });
+  assert.deepEqual(queue().map(entry => entry.path), [earlier.postPath, saved.postPath], 'the queue is kept in publish order');
+});
+
+test('saving a queued post for a past time takes it off the queue', async () => {
+  const saved = await savePost({ ...POST, date: '2099-01-01', time: '09:00' });
+  const retitled = await savePost({ ...POST, date: '2099-01-01', time: '09:00', original_path: saved.postPath, title: '改期' });
+  assert.equal(queue()[0].title, '改期');
+
+  const published = await savePost({ ...POST, date: '2024-01-01', original_path: retitled.postPath });
+  assert.equal(published.scheduled, false);
+  assert.equal(published.message, '文章已儲存，將於下次建站後顯示於專業分享。');
+  assert.deepEqual(queue(), []);
+});
+
+test('publish dates and times that do not parse are refused', async () => {
+  for (const [date, time] of [['2099/01/01', ''], ['2099-01-01', '9am'], ['2099-13-01', ''], ['2099-01-01', '25:00']]) {
+    await assert.rejects(savePost({ ...POST, date, time }), { status: 400, message: /Asia\/Taipei/ }, `${date} ${time}`);
+  }
+  assert.equal(fs.existsSync(path.join(root, '_posts')), false);
+});
+
+test('the publish run takes due posts off the queue and calls the deploy hook', async () => {
+  fs.mkdirSync(path.join(root, '_data'));
+  fs.writeFileSync(path.join(root, '_data/publish-queue.yml'), YAML.stringify([
+    { path: '_posts/2026-03-01-due.md', slug: 'due', title: '到期', publish_at: '2026-03-01T01:00:00.000Z' },
+    { path: '_posts/2026-03-02-later.md', slug: 'later', title: '之後', publish_at: '2026-03-02T01:00:00.000Z' },
+  ]));
+  process.env.VERCEL_DEPLOY_HOOK_URL = 'https://api.vercel.com/v1/integrations/deploy/hook';
+  const hooks = [];
+  globalThis.fetch = async (url, options = {}) => {
+    hooks.push(`${options.method} ${url}`);
+    return new Response('{}', { status: 201 });
+  };
+
+  const early = await publishScheduledPosts(new Date('2026-03-01T00:59:00Z'));
+  assert.deepEqual(early, { success: true, published: [], pending: 2 });
+  assert.deepEqual(hooks, [], 'nothing due, nothing rebuilt');
+
+  const run = await publishScheduledPosts(new Date('2026-03-01T01:00:00Z'));
+  assert.deepEqual(run, { success: true, published: ['_posts/2026-03-01-due.md'], pending: 1 });
+  assert.deepEqual(queue().map(entry => entry.slug), ['later']);
+  assert.deepEqual(hooks, ['POST https://api.vercel.com/v1/integrations/deploy/hook']);
+
+  await publishScheduledPosts(new Date('2026-04-01T00:00:00Z'));
+  assert.equal(read('_data/publish-queue.yml'), '[]\n');
+});
+
+test('the brand inbox is emailed the posts a publish run put live, and a mail failure does not fail the run', async () => {
+  const first = await savePost({ ...POST, date: '2099-01-01', time: '09:00' });
+  await savePost({ ...POST, title: '春季課程', slug: 'spring', date: '2099-03-01' });
+
+  const run = await publishScheduledPosts(new Date('2099-01-01T01:00:00Z'));
+  assert.deepEqual(run.published, [first.postPath]);
+  const [mail, ...rest] = await listOutbox(outbox);
+  assert.deepEqual(rest, []);
+  assert.equal(mail.to, brand.social.email.address);
+  assert.match(mail.subject, /^新內容已發布/);
+  assert.match(mail.text, /新年計畫（2099-01-01）\n\s+https:\/\/example\.com\/blog\/new-year\.html/);
+  assert.doesNotMatch(mail.text, /春季課程/, 'posts still queued are not listed');
+
+  setMailTransport({ name: 'broken', async send() { throw new Error('SMTP down'); } });
+  const later = await publishScheduledPosts(new Date('2099-03-01T00:00:00Z'));
+  assert.equal(later.success, true);
+  assert.deepEqual(queue(), []);
+
+  setMailTransport(createOutboxTransport({ dir: outbox }));
+  await publishScheduledPosts(new Date('2099-04-01T00:00:00Z'));
+  assert.equal((await listOutbox(outbox)).length, 1, 'nothing due, nothing sent');
+});
+
+test('the publish cron endpoint needs CRON_SECRET as a bearer token', async () => {
+  delete process.env.CRON_SECRET;
+  const unconfigured = await call(publishScheduled, { method: 'POST' });
+  assert.equal(unconfigured.statusCode, 500);
+  assert.match(unconfigured.body.error, /CRON_SECRET/);
+
+  process.env.CRON_SECRET = 'cron-secret';
+  assert.equal((await call(publishScheduled, { headers: { authorization: 'Bearer wrong' } })).statusCode, 401);
+  assert.equal((await call(publishScheduled)).statusCode, 401);
+
+  const res = await call(publishScheduled, { headers: { authorization: 'Bearer cron-secret' } });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { success: true, published: [], pending: 0 });
+});
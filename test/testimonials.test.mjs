@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import YAML from 'yaml';
+import { listAuditLog } from '../api/audit-service.js';
+import { listTestimonials, reorderTestimonials } from '../api/content-service.js';
+import { createLocalStorage, setContentStorage } from '../api/content-storage.js';
+import { createMemoryStore, setDataStore } from '../api/data-store.js';
+import { content } from '../api/routes.js';
+import { call, sessionFor } from './helpers.mjs';
+
+process.env.GOOGLE_CLIENT_ID = 'client-id.apps.googleusercontent.com';
+process.env.EDITOR_ALLOWED_EMAILS = 'owner@example.com';
+process.env.EDITOR_SESSION_SECRET = 'test-secret';
+
+const TESTIMONIALS = [
+  { id: 't-amy', name: 'Amy', image: '/img/testimonials/Amy.120w.jpg', image_srcset: { jpeg: '/img/testimonials/Amy.120w.jpg 120w' }, category: '減重', content: '謝謝', featured: true },
+  { id: 't-ben', name: 'Ben', image: '/img/testimonials/default.jpg', category: '增肌', content: '很棒' },
+  { id: 't-cat', name: 'Cat', image: '/img/testimonials/default.jpg', category: '體態', content: '推薦', hidden: true },
+];
+
+let root;
+
+function saved() {
+  return YAML.parse(fs.readFileSync(path.join(root, '_data/testimonials.yml'), 'utf8'));
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'testimonials-'));
+  fs.mkdirSync(path.join(root, '_data'));
+  fs.writeFileSync(path.join(root, '_data/testimonials.yml'), YAML.stringify(TESTIMONIALS));
+  setContentStorage(createLocalStorage({ root }));
+  setDataStore(createMemoryStore());
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('reordering rewrites the list in the new order and keeps every field', async () => {
+  const res = await call(content, {
+    method: 'POST',
+    cookie: sessionFor('owner@example.com'),
+    body: { type: 'testimonial-order', data: { ids: ['t-cat', 't-amy', 't-ben'] } },
+  });
+  assert.equal(res.statusCode, 200);
+
+  const entries = saved();
+  assert.deepEqual(entries.map(entry => entry.id), ['t-cat', 't-amy', 't-ben']);
+  assert.equal(entries[0].hidden, true);
+  assert.equal(entries[1].featured, true);
+  assert.deepEqual(entries[1].image_srcset, TESTIMONIALS[0].image_srcset);
+  assert.deepEqual((await listTestimonials()).map(entry => entry.name), ['Cat', 'Amy', 'Ben']);
+
+  const { entries: audit } = await listAuditLog({ action: 'content.testimonial.reorder' });
+  assert.equal(audit.length, 1);
+  assert.deepEqual(audit[0].diff, [{ field: 'order', before: 'Amy, Ben, Cat', after: 'Cat, Amy, Ben' }]);
+});
+
+test('testimonials left out of the order keep their place after the listed ones', async () => {
+  await reorderTestimonials(['t-ben']);
+  assert.deepEqual(saved().map(entry => entry.id), ['t-ben', 't-amy', 't-cat']);
+});
+
+test('an order that is empty, repeats an entry or names an unknown one is refused', async () => {
+  const before = fs.readFileSync(path.join(root, '_data/testimonials.yml'), 'utf8');
+  await assert.rejects(reorderTestimonials([]), { status: 400 });
+  await assert.rejects(reorderTestimonials('t-amy'), { status: 400 });
+  await assert.rejects(reorderTestimonials(['t-amy', 't-amy', 't-ben']), { status: 400 });
+  await assert.rejects(reorderTestimonials(['t-ben', 't-gone']), { status: 404 });
+  assert.equal(fs.readFileSync(path.join(root, '_data/testimonials.yml'), 'utf8'), before);
+});
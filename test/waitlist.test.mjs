@@ -0,0 +1,151 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+
+process.env.SITE_URL = 'https://example.com';
+process.env.SIGNED_LINK_SECRET = 'test-secret';
+
+const { listFreeSlots } = await import('../api/availability-service.js');
+const { cancelBookingSession, claimWaitlistOffer, submitBooking } = await import('../api/booking-service.js');
+const { createMemoryStore, getDataStore, setDataStore } = await import('../api/data-store.js');
+const { setMailTransport } = await import('../api/mailer.js');
+const { setNotificationChannels } = await import('../api/notifications.js');
+const { declineWaitlistOffer, expireWaitlistOffers, getWaitlistOffer, joinWaitlist, listWaitlistDepth } = await import('../api/waitlist-service.js');
+const { useTestAvailability } = await import('./helpers.mjs');
+
+useTestAvailability();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let sent;
+
+beforeEach(() => {
+  setDataStore(createMemoryStore());
+  setNotificationChannels([]);
+  sent = [];
+  setMailTransport({
+    name: 'capture',
+    async send(message) {
+      sent.push(message);
+      return { id: String(sent.length) };
+    },
+  });
+});
+
+function prospect(name, phone, slot) {
+  return { name, phone, email: `${phone}@example.com`, goal: '健康', slot_start: slot.start, trainer_id: 'roubao' };
+}
+
+async function fullSlot() {
+  const to = new Date(Date.now() + 13 * 86400000).toISOString().slice(0, 10);
+  const { slots } = await listFreeSlots({ trainerId: 'roubao', to });
+  const slot = slots[slots.length - 1];
+  const { id } = await submitBooking(prospect('王小明', '0912345678', slot));
+  return { slot, bookingId: id };
+}
+
+function claimToken(to) {
+  const offer = sent.filter(message => message.to === to && message.subject.startsWith('您候補的時段')).pop();
+  return /waitlist-claim\.html\?token=([\w.-]+)/.exec(offer.text)[1];
+}
+
+test('only full slots take a waitlist, once per phone', async () => {
+  const to = new Date(Date.now() + 13 * 86400000).toISOString().slice(0, 10);
+  const { slots } = await listFreeSlots({ trainerId: 'roubao', to });
+  await assert.rejects(joinWaitlist(prospect('陳小華', '0922000001', slots[0])), { status: 409 });
+
+  const { slot } = await fullSlot();
+  const { full } = await listFreeSlots({ trainerId: 'roubao', to });
+  assert.ok(full.some(item => item.start === slot.start), 'the booked slot is listed as full');
+
+  await assert.rejects(joinWaitlist({ ...prospect('陳小華', '0922000001', slot), email: '' }), { status: 400, field: 'email' });
+  assert.equal((await joinWaitlist(prospect('陳小華', '0922000001', slot))).position, 1);
+  assert.equal((await joinWaitlist(prospect('林小美', '0922000002', slot))).position, 2);
+  await assert.rejects(joinWaitlist(prospect('陳小華', '0922000001', slot)), { status: 409 });
+  assert.ok(sent.some(message => message.to === '0922000002@example.com' && message.text.includes('第 2 位')));
+});
+
+test('a cancellation offers the slot to the first in line, who can claim it', async () => {
+  const { slot, bookingId } = await fullSlot();
+  await joinWaitlist(prospect('陳小華', '0922000001', slot));
+  await joinWaitlist(prospect('林小美', '0922000002', slot));
+
+  await cancelBookingSession(bookingId, { reason: '臨時有事' }, 'staff@example.com');
+  const token = claimToken('0922000001@example.com');
+  assert.equal((await getWaitlistOffer(token)).name, '陳小華');
+  await assert.rejects(
+    submitBooking(prospect('路人', '0933000000', slot)),
+    { status: 409 },
+    'the held slot cannot be booked from the form',
+  );
+
+  const booked = await claimWaitlistOffer(token);
+  const booking = await getDataStore().get('bookings', booked.id);
+  assert.equal(booking.slot_start, slot.start);
+  assert.equal(booking.phone, '0922000001');
+  await assert.rejects(claimWaitlistOffer(token), { status: 409 });
+
+  const [depth] = await listWaitlistDepth();
+  assert.equal(depth.waiting, 1);
+  assert.equal(depth.offered, null);
+});
+
+test('expired or declined offers pass the slot to the next person', async () => {
+  const { slot, bookingId } = await fullSlot();
+  await joinWaitlist(prospect('陳小華', '0922000001', slot));
+  await joinWaitlist(prospect('林小美', '0922000002', slot));
+  await joinWaitlist(prospect('張大同', '0922000003', slot));
+  await cancelBookingSession(bookingId, { reason: '臨時有事' }, 'staff@example.com');
+
+  let [depth] = await listWaitlistDepth();
+  assert.equal(depth.offered.name, '陳小華');
+  assert.equal(depth.waiting, 2);
+
+  const result = await expireWaitlistOffers(Date.now() + 3 * HOUR_MS);
+  assert.deepEqual(result, { success: true, expired: 1, offered: 1 });
+  [depth] = await listWaitlistDepth();
+  assert.equal(depth.offered.name, '林小美');
+
+  await declineWaitlistOffer(claimToken('0922000002@example.com'));
+  [depth] = await listWaitlistDepth();
+  assert.equal(depth.offered.name, '張大同');
+  assert.equal(depth.waiting, 0);
+});
+
+test('two claims of the same offer at once book the slot only once', async () => {
+  const { slot, bookingId } = await fullSlot();
+  await joinWaitlist(prospect('陳小華', '0922000001', slot));
+  await cancelBookingSession(bookingId, { reason: '臨時有事' }, 'staff@example.com');
+  const token = claimToken('0922000001@example.com');
+
+  const results = await Promise.allSettled([claimWaitlistOffer(token), claimWaitlistOffer(token)]);
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+
+  const bookings = (await getDataStore().list('bookings')).filter(booking => booking.slot_start === slot.start && !booking.session_cancelled_at);
+  assert.equal(bookings.length, 1);
+  const reserved = await getDataStore().get('slots', `roubao@${slot.start}`);
+  assert.equal(reserved.booking_id, bookings[0].id);
+});
+
+test('a lapsed hold frees the slot before the cron runs', async () => {
+  const { slot, bookingId } = await fullSlot();
+  await joinWaitlist(prospect('陳小華', '0922000001', slot));
+  await cancelBookingSession(bookingId, { reason: '臨時有事' }, 'staff@example.com');
+  const token = claimToken('0922000001@example.com');
+  const to = slot.start.slice(0, 10);
+  assert.ok(!(await listFreeSlots({ trainerId: 'roubao', from: to, to })).slots.some(item => item.start === slot.start));
+
+  const past = new Date(Date.now() - 1000).toISOString();
+  const [entry] = await getDataStore().list('waitlist');
+  await getDataStore().update('waitlist', entry.id, { offer_expires_at: past });
+  await getDataStore().update('slots', `roubao@${slot.start}`, { hold_expires_at: past });
+  assert.ok((await listFreeSlots({ trainerId: 'roubao', from: to, to })).slots.some(item => item.start === slot.start));
+
+  const { id } = await submitBooking(prospect('路人', '0933000000', slot));
+  assert.equal((await getDataStore().get('slots', `roubao@${slot.start}`)).booking_id, id);
+  await assert.rejects(claimWaitlistOffer(token), { status: 409 });
+
+  await expireWaitlistOffers();
+  assert.equal((await getDataStore().get('slots', `roubao@${slot.start}`)).booking_id, id, 'the cron leaves the new booking alone');
+  assert.equal((await getDataStore().get('waitlist', entry.id)).status, 'expired');
+});